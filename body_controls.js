@@ -0,0 +1,149 @@
+/**
+ * Continuous body controls: map a measurement of the controlling person's
+ * pose, such as how high their right wrist is, onto a playback parameter
+ * such as the volume or the position within the song.
+ *
+ * Measurements are in shoulder widths so they don't depend on how far the
+ * person stands from the camera. inputMin and inputMax give the range of
+ * the measurement that is mapped onto 0 to 100%.
+ */
+import {findKeypoint, shoulderWidth} from './gesture_rules.js';
+
+function confidentPoints(keypoints, partNames, minPartConfidence) {
+  const points = partNames.map((partName) => findKeypoint(keypoints, partName));
+  if (points.some((kp) => !kp || kp.score <= minPartConfidence)) {
+    return null;
+  }
+  return points.map((kp) => kp.position);
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function wristHeight(side) {
+  return (keypoints, minPartConfidence) => {
+    const points = confidentPoints(
+        keypoints, [`${side}Wrist`, `${side}Shoulder`, 'leftShoulder',
+          'rightShoulder'],
+        minPartConfidence);
+    if (!points) {
+      return null;
+    }
+    const [wrist, shoulder, leftShoulder, rightShoulder] = points;
+    const width = shoulderWidth(leftShoulder, rightShoulder);
+    if (width === null) {
+      return null;
+    }
+    // y grows downwards, so a wrist above the shoulder is positive
+    return (shoulder.y - wrist.y) / width;
+  };
+}
+
+/**
+ * Measurements a control can be driven by, keyed by their GUI name.
+ */
+export const controlSources = {
+  'right wrist height': wristHeight('right'),
+  'left wrist height': wristHeight('left'),
+  'wrist distance': (keypoints, minPartConfidence) => {
+    const points = confidentPoints(
+        keypoints, ['leftWrist', 'rightWrist', 'leftShoulder', 'rightShoulder'],
+        minPartConfidence);
+    if (!points) {
+      return null;
+    }
+    const [leftWrist, rightWrist, leftShoulder, rightShoulder] = points;
+    const width = shoulderWidth(leftShoulder, rightShoulder);
+    if (width === null) {
+      return null;
+    }
+    return distance(leftWrist, rightWrist) / width;
+  },
+};
+
+/**
+ * Playback parameters a control can drive, keyed by their GUI name. Each
+ * sets the parameter of a backend from playback.js to a value from 0 to
+ * 100%.
+ */
+export const controlTargets = {
+  'volume': (playback, percent) => playback.setVolume(percent),
+  // the position within the playing song
+  'position': async (playback, percent) => {
+    const state = await playback.getState();
+    if (state && state.duration > 0) {
+      await playback.seek(state.duration * percent / 100);
+    }
+  },
+};
+
+/**
+ * One body control. Values are sent one at a time: while a send is in flight
+ * updates only measure. config:
+ *   enabled: whether the control sends anything
+ *   source: a key of controlSources
+ *   target: a key of controlTargets, for whoever sends the values
+ *   inputMin, inputMax: measurement range mapped onto 0 to 100%
+ *   deadZone: minimum change, in percent, worth sending
+ *   throttle: minimum ms between two sends
+ */
+export class BodyControl {
+  constructor(config, send) {
+    this.config = config;
+    this.send = send;
+    this.value = null;
+    this.lastSent = null;
+    this.lastSentAt = -Infinity;
+    this.sending = false;
+  }
+
+  /**
+   * Measures the pose and sends the new value if it has moved out of the
+   * dead zone and the throttle allows. Returns the current value (0 to 100)
+   * or null if it couldn't be measured.
+   */
+  update(keypoints, minPartConfidence, now) {
+    const config = this.config;
+    const measure = controlSources[config.source];
+    const measurement =
+        keypoints ? measure(keypoints, minPartConfidence) : null;
+    if (measurement === null || config.inputMax === config.inputMin) {
+      this.value = null;
+      return null;
+    }
+
+    const fraction =
+        (measurement - config.inputMin) / (config.inputMax - config.inputMin);
+    this.value = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+
+    if (config.enabled && !this.sending &&
+        now - this.lastSentAt >= config.throttle &&
+        (this.lastSent === null ||
+         Math.abs(this.value - this.lastSent) >= config.deadZone)) {
+      this.sendValue(this.value, now);
+    }
+    return this.value;
+  }
+
+  /**
+   * Forgets the last value sent, so the next update sends regardless of the
+   * dead zone, e.g. after switching to another target.
+   */
+  reset() {
+    this.lastSent = null;
+  }
+
+  async sendValue(value, now) {
+    this.sending = true;
+    this.lastSentAt = now;
+    try {
+      await this.send(value);
+      this.lastSent = value;
+    } catch (ex) {
+      console.error(ex);
+    } finally {
+      this.sending = false;
+    }
+  }
+}
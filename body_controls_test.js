@@ -0,0 +1,72 @@
+/**
+ * Checks the body control measurements and the values sent from them:
+ * `npm test` from the repository root.
+ */
+import assert from 'assert';
+import {describe, it} from 'node:test';
+
+import {BodyControl, controlSources} from './body_controls.js';
+
+function keypoints(positions) {
+  return Object.keys(positions).map((part) => ({
+    part,
+    score: 0.9,
+    position: {x: positions[part][0], y: positions[part][1]},
+  }));
+}
+
+const facing = keypoints({
+  leftShoulder: [130, 100],
+  rightShoulder: [70, 100],
+  leftWrist: [150, 40],
+  rightWrist: [50, 130],
+});
+
+// side-on to the camera, the shoulders are in almost the same place
+const sideOn = keypoints({
+  leftShoulder: [100, 100],
+  rightShoulder: [103, 100],
+  leftWrist: [110, 40],
+  rightWrist: [95, 130],
+});
+
+describe('controlSources', () => {
+  it('measures in shoulder widths', () => {
+    assert.strictEqual(controlSources['left wrist height'](facing, 0.5), 1);
+    assert.strictEqual(controlSources['right wrist height'](facing, 0.5), -0.5);
+    assert.ok(
+        Math.abs(controlSources['wrist distance'](facing, 0.5) - 2.24) < 0.01);
+  });
+
+  Object.keys(controlSources).forEach((name) => {
+    it(`can't measure ${name} with the shoulders on top of each other`, () => {
+      assert.strictEqual(controlSources[name](sideOn, 0.5), null);
+    });
+  });
+});
+
+describe('BodyControl', () => {
+  const config = {
+    enabled: true,
+    source: 'left wrist height',
+    inputMin: -1,
+    inputMax: 1,
+    deadZone: 5,
+    throttle: 0,
+  };
+
+  it('maps the measurement onto 0 to 100% and sends it', () => {
+    const sent = [];
+    const control = new BodyControl(config, (value) => sent.push(value));
+    assert.strictEqual(control.update(facing, 0.5, 0), 100);
+    assert.deepStrictEqual(sent, [100]);
+  });
+
+  it('sends nothing when the pose is side-on', () => {
+    const sent = [];
+    const control = new BodyControl(config, (value) => sent.push(value));
+    assert.strictEqual(control.update(sideOn, 0.5, 0), null);
+    assert.strictEqual(control.value, null);
+    assert.deepStrictEqual(sent, []);
+  });
+});
@@ -20,159 +20,352 @@ import Stats from 'stats.js';
 
 import SpotifyWebApi from 'spotify-web-api-js';
 
-import { drawBoundingBox, drawKeypoints, drawSkeleton, isMobile, toggleLoadingUI, tryResNetButtonName, tryResNetButtonText, updateTryResNetButtonDatGuiCss } from './demo_util';
-
-const videoWidth = 889;
-const videoHeight = 500;
+import {downloadFile, drawBoundingBox, drawKeypoints, drawSkeleton, isMobile,
+    toggleLoadingUI, tryResNetButtonName, tryResNetButtonText,
+    updateTryResNetButtonDatGuiCss} from './demo_util';
+import {GestureTrigger} from './gesture_trigger';
+import {detectGesture, scoreGesture} from './gesture_rules';
+import builtInGestures from './gestures.json';
+import transportGestures from './transport_gestures.json';
+import {SwipeDetector} from './swipe_detector';
+import {PoseGame} from './pose_game';
+import {setupGamePanel} from './game_panel';
+import {drawGestureHud, drawNowPlaying, NowPlaying} from './hud';
+import {drawGuide, hasGuide} from './pose_guide';
+import {drawPartLabels, explainGestures, ModelDebugView,
+    showGestureClauses} from './debug_view';
+import {ModelReconciler} from './model_reconciler';
+import {cacheLoadedResources, listOfflineModels, modelUrl, onModelCached,
+    registerServiceWorker} from './model_cache';
+import {applyTransform, fitModes, fitTransform,
+    resetTransform} from './view_fit';
+import {currentCamera, fitSize, listCameras, loadMirrorSetting, openCamera,
+    openImageFile, openVideoFile, resolutionPresets,
+    saveMirrorSetting} from './camera_devices';
+import {loadCustomPoses, normalizeKeypoints, saveCustomPoses} from './pose_knn';
+import {classifyPose} from './pose_classifier';
+import {ControlPolicy, controlPolicies} from './control_policy';
+import {PoseTracker} from './pose_tracker';
+import {PoseSmoother} from './keypoint_filter';
+import {BodyControl, controlSources, controlTargets} from './body_controls';
+import {LocalAudioPlayback, SpotifyPlayback} from './playback';
+import {setupSongEditor} from './song_editor';
+import {DevicePicker} from './device_picker';
+import {parseRecording, PoseRecorder, PoseReplay} from './pose_recording';
+import {createSpotifyCaller} from './spotify_errors';
+import {FpsSampler, logSpotifyCalls, SessionLog} from './session_log';
+import {setupSessionLogPanel} from './session_log_panel';
+import {clearStatus, showStatus} from './status_banner';
+import {authorize, completeAuthorization, getAccessToken, keepTokenFresh,
+    refreshAccessToken} from './spotify_auth';
+import {loadSongMapping, saveSongMapping} from './song_mapping';
+
+const controllerColor = 'yellow';
+const poseIdColor = 'white';
+const rawKeypointColor = 'magenta';
+const meterColor = 'lime';
+const gameColor = 'gold';
+
+const defaultResolution = '889x500 (16:9)';
+// the size frames are processed and drawn at, set by the resolution preset
+let videoWidth = resolutionPresets[defaultResolution][0];
+let videoHeight = resolutionPresets[defaultResolution][1];
 const stats = new Stats();
 
 let currentState = "";
+// 'stopped' until the first song plays, then 'playing' or 'paused'
+let playbackStatus = 'stopped';
 
-const spotifyApi = new SpotifyWebApi();
+// timeline of detections, song switches, Spotify calls, model loads and
+// frame rates, for looking into false triggers and latency afterwards
+const sessionLog = new SessionLog(performance.now());
+const fpsSampler = new FpsSampler();
+// the gesture of the controlling person that was logged last
+let loggedGesture;
 
-const songLookup = {
-    "YMCA": {
-        uri: 'spotify:track:7Cp69rNBwU0gaFT8zxExlE',
-        position: 58 * 1000
-    },
-    "Baby Shark": {
-        uri: 'spotify:track:5ygDXis42ncn6kYG14lEVG',
-        position: 4 * 1000
-    },
-    "Disco": {
-        uri: 'spotify:track:7qK3JFriCqLorQivsJYG2X',
-        position: 0
-    },
-    "Thriller": {
-        uri: 'spotify:track:7azo4rpSUh8nXgtonC6Pkq',
-        position: 90.5 * 1000
+const spotifyApi = new SpotifyWebApi();
+const callSpotify =
+    logSpotifyCalls(createSpotifyCaller(handleUnauthorized), sessionLog);
+
+// the backend songs are played through, chosen at the login gate
+let playback = null;
+// the Spotify device list, once logged in to Spotify
+let devicePicker = null;
+// what the backend is playing, for the HUD
+let nowPlaying = null;
+
+const songLookup = loadSongMapping();
+
+// poses taught from the webcam, and the songs they have been bound to
+// (edits saved from the song editor take precedence)
+const customPoses = loadCustomPoses();
+Object.keys(customPoses.songs).forEach((label) => {
+    if (!(label in songLookup)) {
+        songLookup[label] = customPoses.songs[label];
     }
-}
+});
 
-function getSelectedDevice() {
-    var e = document.getElementById("devices");
-    return e.options[e.selectedIndex].value;
-}
+// set while a custom pose is being captured
+let teaching = null;
+
+// records the estimated poses when recording is switched on in the GUI
+const poseRecorder = new PoseRecorder(videoWidth, videoHeight);
+// set while a recording is fed through the pipeline instead of the camera
+let poseReplay = null;
 
 async function updateState(newState) {
-    if (currentState === newState) {
+    const logState = (result, message) => sessionLog.add('state', {
+        from: currentState,
+        to: newState,
+        result: result,
+        message: message,
+    }, performance.now());
+
+    if (currentState === newState && playbackStatus === 'playing') {
+        logState('already playing');
         return;
     }
+    // the same pose again resumes the song if it has been paused
+    const resuming = currentState === newState && playbackStatus === 'paused';
 
     console.log('Updating State:', newState);
 
-    const currentDevice = getSelectedDevice();
-
-    if (newState in songLookup) {
-        var song = songLookup[newState];
-        try {
-            await spotifyApi.play({
-                device_id: currentDevice,
-                uris: [song.uri]
-            });
+    if (!(newState in songLookup)) {
+        console.error("Could not find the song for the state:", newState)
+        logState('no song');
+        return;
+    }
 
-            if (song.position > 0) {
-                await spotifyApi.seek(song.position);
-            }
-        }
-        catch (ex) {
-            if (ex.status === 401) {
-                authorize();
-            }
+    try {
+        if (resuming) {
+            await playback.resume();
+        } else {
+            await playback.play(newState, songLookup[newState]);
         }
-    }
-    else {
-        console.error("Could not find the song for the state:", newState)
+    } catch (ex) {
+        // leave currentState alone so the pose can try again
+        console.error(ex);
+        showStatus(ex.userMessage || ex.message);
+        logState('failed', ex.userMessage || ex.message);
+        return;
     }
 
+    clearStatus();
+    logState(resuming ? 'resumed' : 'playing');
     currentState = newState;
+    playbackStatus = 'playing';
 }
 
-function drawImageProp(ctx, img, x, y, w, h, offsetX, offsetY) {
-
-    if (arguments.length === 2) {
-        x = y = 0;
-        w = ctx.canvas.width;
-        h = ctx.canvas.height;
+/**
+ * Carries out a transport action: 'toggle pause', 'next', 'previous' or
+ * 'restart'. Next and previous step through the songs in the order of the
+ * song mapping.
+ */
+async function performTransport(action) {
+    const from = playbackStatus;
+    const logTransport = (result, message) => sessionLog.add('transport', {
+        action: action,
+        from: from,
+        result: result,
+        message: message,
+    }, performance.now());
+
+    if (playbackStatus === 'stopped') {
+        logTransport('nothing playing');
+        return;
     }
 
-    // default offset is center
-    offsetX = typeof offsetX === "number" ? offsetX : 0.5;
-    offsetY = typeof offsetY === "number" ? offsetY : 0.5;
+    const states = Object.keys(songLookup);
+    const index = states.indexOf(currentState);
+    switch (action) {
+        case 'next':
+            logTransport('switching song');
+            return updateState(states[(index + 1) % states.length]);
+        case 'previous':
+            logTransport('switching song');
+            return updateState(
+                states[(index - 1 + states.length) % states.length]);
+    }
 
-    // keep bounds [0.0, 1.0]
-    if (offsetX < 0) offsetX = 0;
-    if (offsetY < 0) offsetY = 0;
-    if (offsetX > 1) offsetX = 1;
-    if (offsetY > 1) offsetY = 1;
+    try {
+        if (action === 'restart') {
+            await playback.play(currentState, songLookup[currentState]);
+            playbackStatus = 'playing';
+        } else if (playbackStatus === 'playing') {
+            await playback.pause();
+            playbackStatus = 'paused';
+        } else {
+            await playback.resume();
+            playbackStatus = 'playing';
+        }
+    } catch (ex) {
+        console.error(ex);
+        showStatus(ex.userMessage || ex.message);
+        logTransport('failed', ex.userMessage || ex.message);
+        return;
+    }
 
-    var iw = img.width,
-        ih = img.height,
-        r = Math.min(w / iw, h / ih),
-        nw = iw * r,   // new prop. width
-        nh = ih * r,   // new prop. height
-        cx, cy, cw, ch, ar = 1;
+    clearStatus();
+    logTransport(playbackStatus);
+}
 
-    // decide which gap to fill    
-    if (nw < w) ar = w / nw;
-    if (Math.abs(ar - 1) < 1e-14 && nh < h) ar = h / nh;  // updated
-    nw *= ar;
-    nh *= ar;
+/**
+ * Opens the camera to be used in the demo: the camera and resolution chosen
+ * in guiState.camera, with the camera's mirror setting.
+ */
+async function setupCamera() {
+    const video = document.getElementById('video');
+    const [width, height] = resolutionPresets[guiState.camera.resolution];
+    const mobile = isMobile();
+    const constraints = {
+        deviceId: guiState.camera.deviceId,
+        width: mobile ? undefined : width,
+        height: mobile ? undefined : height,
+    };
+    try {
+        await openCamera(video, constraints);
+    } catch (ex) {
+        if (!constraints.deviceId) {
+            throw ex;
+        }
+        // a remembered camera may have been unplugged, try the default one
+        console.error(ex);
+        await openCamera(video, Object.assign(constraints, {deviceId: ''}));
+    }
 
-    // calc source rectangle
-    cw = iw / (nw / w);
-    ch = ih / (nh / h);
+    setInputSize(video, video.videoWidth, video.videoHeight);
+    // phones turn the picture round when they are turned
+    video.onresize =
+        () => setInputSize(video, video.videoWidth, video.videoHeight);
 
-    cx = (iw - cw) * offsetX;
-    cy = (ih - ch) * offsetY;
+    const {deviceId, facingMode} = currentCamera(video);
+    guiState.camera.deviceId = deviceId;
+    guiState.camera.mirror = loadMirrorSetting(deviceId, facingMode);
+    return video;
+}
 
-    // make sure source rectangle is valid
-    if (cx < 0) cx = 0;
-    if (cy < 0) cy = 0;
-    if (cw > iw) cw = iw;
-    if (ch > ih) ch = ih;
+async function loadVideo() {
+    return setupCamera();
+}
 
-    // fill image in dest. rectangle
-    ctx.drawImage(img, cx, cy, cw, ch, x, y, w, h);
+/**
+ * Sets the size frames are processed at: the input's own size, scaled to fit
+ * the chosen resolution.
+ */
+function setInputSize(element, naturalWidth, naturalHeight) {
+    [videoWidth, videoHeight] = fitSize(
+        naturalWidth, naturalHeight,
+        ...resolutionPresets[guiState.camera.resolution]);
+    element.width = videoWidth;
+    element.height = videoHeight;
+    poseRecorder.width = videoWidth;
+    poseRecorder.height = videoHeight;
+    fitCanvas();
 }
 
 /**
- * Loads a the camera to be used in the demo
- *
+ * Sizes the output canvas: the size frames are processed at, or the size it
+ * is shown at when it fills the window or the screen.
  */
-async function setupCamera() {
-    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        throw new Error(
-            'Browser API navigator.mediaDevices.getUserMedia not available');
+function fitCanvas() {
+    const main = document.getElementById('main');
+    const canvas = document.getElementById('output');
+    main.classList.toggle('fill-window', guiState.output.fillWindow);
+    const filling =
+        guiState.output.fillWindow || document.fullscreenElement === main;
+    if (filling && canvas.clientWidth > 0) {
+        canvas.width = canvas.clientWidth;
+        canvas.height = canvas.clientHeight;
+    } else {
+        canvas.width = videoWidth;
+        canvas.height = videoHeight;
     }
+}
 
-    const video = document.getElementById('video');
-    video.width = videoWidth;
-    video.height = videoHeight;
+window.addEventListener('resize', fitCanvas);
+window.addEventListener('orientationchange', fitCanvas);
+document.addEventListener('fullscreenchange', fitCanvas);
 
-    const mobile = isMobile();
-    const stream = await navigator.mediaDevices.getUserMedia({
-        'audio': false,
-        'video': {
-            facingMode: 'user',
-            width: mobile ? undefined : videoWidth,
-            height: mobile ? undefined : videoHeight,
-        },
-    });
-    video.srcObject = stream;
+// the running pose detection loop
+let detection = null;
+// what poses are detected in: 'camera', 'video file' or 'image', and the
+// element showing it
+let inputSource = 'camera';
+let currentInput = null;
 
-    return new Promise((resolve) => {
-        video.onloadedmetadata = () => {
-            resolve(video);
-        };
-    });
+function hasPicture(element) {
+    return element !== null &&
+        (element.srcObject || element.getAttribute('src'));
 }
 
-async function loadVideo() {
-    const video = await setupCamera();
-    video.play();
+/**
+ * Switches the input poses are detected in without reloading the page. People
+ * are tracked afresh on the new picture. If the new input can't be opened the
+ * old one carries on, or the camera if the old one has gone.
+ *
+ * @param open resolves to the element to detect poses in
+ */
+async function switchInput(source, open) {
+    if (detection) {
+        detection.stop();
+    }
+    try {
+        currentInput = await open();
+        inputSource = source;
+        clearStatus();
+    } catch (ex) {
+        console.error(ex);
+        showStatus(`Could not switch to the ${source}: ${ex.message}`);
+        if (!hasPicture(currentInput)) {
+            try {
+                currentInput = await loadVideo();
+                inputSource = 'camera';
+            } catch (cameraEx) {
+                console.error(cameraEx);
+                currentInput = null;
+            }
+        }
+    }
+    poseTracker.reset();
+    poseSmoother.reset();
+    swipeDetector.reset();
+    if (currentInput) {
+        detection = detectPoseInRealTime(currentInput);
+    }
+}
 
-    return video;
+/**
+ * Switches to the camera and resolution now chosen in the GUI.
+ */
+function useCamera() {
+    showInfo('');
+    return switchInput('camera', loadVideo);
+}
+
+/**
+ * Detects poses in a local video or image file instead of the camera. The
+ * file is scaled to fit the chosen resolution.
+ */
+function useFile(file) {
+    const isImage = file.type.startsWith('image/');
+    return switchInput(isImage ? 'image' : 'video file', async () => {
+        let element;
+        if (isImage) {
+            element =
+                await openImageFile(document.getElementById('image'), file);
+            setInputSize(element, element.naturalWidth, element.naturalHeight);
+        } else {
+            element = await openVideoFile(
+                document.getElementById('video'), file,
+                guiState.camera.loopVideo);
+            element.onended = () => showInfo(`${file.name} has ended`);
+            setInputSize(element, element.videoWidth, element.videoHeight);
+        }
+        // files are shown the way they were filmed
+        guiState.camera.mirror = false;
+        showInfo(`Detecting poses in ${file.name}`);
+        return element;
+    });
 }
 
 const defaultQuantBytes = 2;
@@ -187,6 +380,12 @@ const defaultResNetInputResolution = 250;
 
 const guiState = {
     algorithm: 'multi-pose',
+    camera: {
+        deviceId: '',
+        resolution: defaultResolution,
+        mirror: true,
+        loopVideo: true,
+    },
     input: {
         architecture: 'MobileNetV1',
         outputStride: defaultMobileNetStride,
@@ -203,25 +402,148 @@ const guiState = {
         minPoseConfidence: 0.15,
         minPartConfidence: 0.1,
         nmsRadius: 30.0,
+        controlPolicy: 'largest',
+    },
+    trigger: {
+        holdMode: 'time',
+        holdTime: 400,
+        holdFrames: 8,
+        releaseTime: 500,
+        cooldown: 1500,
+    },
+    customPoses: {
+        mode: 'rules + custom',
+        label: 'My Pose',
+        trackUri: '',
+        startSeconds: 0,
+        captureSeconds: 3,
+        k: 5,
+        maxDistance: 0.6,
+    },
+    smoothing: {
+        enabled: true,
+        method: 'one euro',
+        minCutoff: 1.0,
+        beta: 0.01,
+        dCutoff: 1.0,
+        alpha: 0.5,
+        showRaw: false,
+    },
+    bodyControl: {
+        enabled: false,
+        source: 'right wrist height',
+        target: 'volume',
+        inputMin: -1.0,
+        inputMax: 1.5,
+        deadZone: 5,
+        throttle: 500,
+        showMeter: true,
+    },
+    transport: {
+        enabled: true,
+        swipeDistance: 1.5,
+        swipeTime: 400,
+        swipeCooldown: 1000,
+    },
+    guide: {
+        enabled: false,
+        gesture: 'YMCA',
+        opacity: 0.5,
+    },
+    debug: {
+        enabled: false,
+        showHeatmaps: true,
+        showOffsets: true,
+        showPartLabels: true,
+        showClauses: true,
+    },
+    game: {
+        rounds: 10,
+        roundTime: 8000,
+        minRoundTime: 3000,
+        speedUp: 0.9,
+        holdTime: 1000,
+        breakTime: 2000,
+    },
+    recording: {
+        record: false,
+        loopReplay: true,
     },
     output: {
         showVideo: true,
         showSkeleton: true,
         showPoints: true,
         showBoundingBox: false,
+        showController: true,
+        showIds: true,
+        showGesture: true,
+        showRuleConfidence: true,
+        showVisibleParts: true,
+        showHoldRing: true,
+        showNowPlaying: true,
+        fit: 'contain',
+        fillWindow: false,
     },
-    net: null,
 };
 
+const gestureTrigger = new GestureTrigger(guiState.trigger);
+// transport gestures are held like song gestures, but tracked separately so
+// holding one doesn't reset the song trigger's cooldown
+const transportTrigger = new GestureTrigger(guiState.trigger);
+const swipeDetector = new SwipeDetector('rightWrist', guiState.transport);
+// swipes are in canvas directions, which the mirrored video makes the
+// same as the person's own
+const swipeActions = {right: 'next', left: 'previous'};
+const controlPolicy = new ControlPolicy();
+const poseTracker = new PoseTracker();
+const poseSmoother = new PoseSmoother(guiState.smoothing);
+const bodyControl = new BodyControl(guiState.bodyControl, (percent) => {
+    return controlTargets[guiState.bodyControl.target](playback, percent);
+});
+let pendingStateUpdate = Promise.resolve();
+
+// the "Pose Says" game; its targets are the poses shown in #pose-examples
+const poseGame = new PoseGame(
+    Array.from(document.querySelectorAll('#pose-examples [data-pose]'))
+        .map((example) => example.dataset.pose)
+        .filter((name) => name in songLookup),
+    guiState.game);
+let gamePanel = null;
+
+// loads a new model when the model settings in the GUI change
+let modelReconciler = null;
+
+// keeps the raw model outputs while the debug view is on
+const modelDebugView = new ModelDebugView();
+
 /**
  * Sets up dat.gui controller on the top-right of the window
  */
 function setupGui(cameras, net) {
-    guiState.net = net;
+    let loadStartedAt = 0;
+    modelReconciler = new ModelReconciler(net, guiState.input, {
+        load: loadModel,
+        // the current model keeps running while the new one loads
+        onLoading: (loading) => {
+            if (loading) {
+                loadStartedAt = performance.now();
+                showStatus('Loading the new model...', 'info');
+            } else {
+                clearStatus();
+                cacheLoadedResources();
+            }
+        },
+        onLoad: (config) => logModelLoad('loaded', config, loadStartedAt),
+        onError: (ex, config) => {
+            logModelLoad('failed', config, loadStartedAt, ex.message);
+            console.error('Could not load the model', config, ex);
+            rollBackModelSettings();
+            showStatus(
+                `Could not load the ${config.architecture} model, ` +
+                `keeping the current one: ${ex.message}`);
+        },
+    });
 
-    if (cameras.length > 0) {
-        guiState.camera = cameras[0].deviceId;
-    }
 
     const gui = new dat.GUI({ width: 300 });
     gui.close();
@@ -240,6 +562,44 @@ function setupGui(cameras, net) {
     const algorithmController =
         gui.add(guiState, 'algorithm', ['single-pose', 'multi-pose']);
 
+    // Camera: which camera to use and the resolution to ask it for. Mirroring
+    // is remembered per camera, and loaded when switching to it; a camera
+    // facing you is usually best mirrored. Poses can also be detected in a
+    // video file, played once or looped, or in an image, scaled to fit the
+    // resolution.
+    let camera = gui.addFolder('Camera');
+    const cameraOptions = {};
+    cameras.forEach(({deviceId, label}) => {
+        cameraOptions[label] = deviceId;
+    });
+    camera.add(guiState.camera, 'deviceId', cameraOptions).name('camera')
+        .listen()
+        .onChange(useCamera);
+    camera.add(guiState.camera, 'resolution', Object.keys(resolutionPresets))
+        .onChange(useCamera);
+    camera.add(guiState.camera, 'mirror').listen()
+        .onChange((mirror) => {
+            if (inputSource === 'camera') {
+                saveMirrorSetting(guiState.camera.deviceId, mirror);
+            }
+        });
+    guiState.camera.openFile =
+        () => document.getElementById('source-file').click();
+    guiState.camera.useCamera = useCamera;
+    camera.add(guiState.camera, 'openFile').name('video or image file...');
+    camera.add(guiState.camera, 'loopVideo').onChange((loop) => {
+        document.getElementById('video').loop =
+            loop && inputSource === 'video file';
+    });
+    camera.add(guiState.camera, 'useCamera').name('use camera');
+    const sourceFile = document.getElementById('source-file');
+    sourceFile.addEventListener('change', () => {
+        if (sourceFile.files.length > 0) {
+            useFile(sourceFile.files[0]);
+            sourceFile.value = '';
+        }
+    });
+
     // The input parameters have the most effect on accuracy and speed of the
     // network
     let input = gui.addFolder('Input');
@@ -248,7 +608,6 @@ function setupGui(cameras, net) {
     // fastest, but least accurate.
     architectureController =
         input.add(guiState.input, 'architecture', ['MobileNetV1', 'ResNet50']);
-    guiState.architecture = guiState.input.architecture;
     // Input resolution:  Internally, this parameter affects the height and width
     // of the layers in the neural network. The higher the value of the input
     // resolution the better the accuracy but slower the speed.
@@ -260,12 +619,11 @@ function setupGui(cameras, net) {
         if (inputResolutionController) {
             inputResolutionController.remove();
         }
-        guiState.inputResolution = inputResolution;
         guiState.input.inputResolution = inputResolution;
         inputResolutionController =
             input.add(guiState.input, 'inputResolution', inputResolutionArray);
         inputResolutionController.onChange(function (inputResolution) {
-            guiState.changeToInputResolution = inputResolution;
+            modelReconciler.request(guiState.input);
         });
     }
 
@@ -278,12 +636,11 @@ function setupGui(cameras, net) {
         if (outputStrideController) {
             outputStrideController.remove();
         }
-        guiState.outputStride = outputStride;
         guiState.input.outputStride = outputStride;
         outputStrideController =
             input.add(guiState.input, 'outputStride', outputStrideArray);
         outputStrideController.onChange(function (outputStride) {
-            guiState.changeToOutputStride = outputStride;
+            modelReconciler.request(guiState.input);
         });
     }
 
@@ -295,12 +652,11 @@ function setupGui(cameras, net) {
         if (multiplierController) {
             multiplierController.remove();
         }
-        guiState.multiplier = multiplier;
         guiState.input.multiplier = multiplier;
         multiplierController =
             input.add(guiState.input, 'multiplier', multiplierArray);
         multiplierController.onChange(function (multiplier) {
-            guiState.changeToMultiplier = multiplier;
+            modelReconciler.request(guiState.input);
         });
     }
 
@@ -313,12 +669,11 @@ function setupGui(cameras, net) {
         if (quantBytesController) {
             quantBytesController.remove();
         }
-        guiState.quantBytes = +quantBytes;
         guiState.input.quantBytes = +quantBytes;
         quantBytesController =
             input.add(guiState.input, 'quantBytes', quantBytesArray);
         quantBytesController.onChange(function (quantBytes) {
-            guiState.changeToQuantBytes = +quantBytes;
+            modelReconciler.request(guiState.input);
         });
     }
 
@@ -359,22 +714,179 @@ function setupGui(cameras, net) {
     // nms Radius: controls the minimum distance between poses that are returned
     // defaults to 20, which is probably fine for most use cases
     multi.add(guiState.multiPoseDetection, 'nmsRadius').min(0.0).max(40.0);
+    // Control policy: whose pose picks the song when several people are in
+    // frame
+    multi.add(guiState.multiPoseDetection, 'controlPolicy', controlPolicies);
     multi.open();
 
+    // Trigger: how long a pose has to be held before it switches the song,
+    // how long it has to be gone before a different pose can take over, and
+    // the minimum time between two switches.
+    let trigger = gui.addFolder('Song Trigger');
+    trigger.add(guiState.trigger, 'holdMode', ['time', 'frames']);
+    trigger.add(guiState.trigger, 'holdTime').min(0).max(3000).step(50);
+    trigger.add(guiState.trigger, 'holdFrames').min(1).max(60).step(1);
+    trigger.add(guiState.trigger, 'releaseTime').min(0).max(3000).step(50);
+    trigger.add(guiState.trigger, 'cooldown').min(0).max(10000).step(100);
+    trigger.open();
+
+    // Custom poses: hold a pose while "teach pose" is capturing to add it as
+    // labelled examples for the nearest-neighbour classifier. The label plays
+    // the given Spotify track URI, starting at startSeconds.
+    let custom = gui.addFolder('Custom Poses');
+    custom.add(
+        guiState.customPoses, 'mode', ['rules', 'custom', 'rules + custom']);
+    custom.add(guiState.customPoses, 'label');
+    custom.add(guiState.customPoses, 'trackUri');
+    custom.add(guiState.customPoses, 'startSeconds').min(0);
+    custom.add(guiState.customPoses, 'captureSeconds').min(1).max(10).step(1);
+    custom.add(guiState.customPoses, 'k').min(1).max(15).step(1);
+    custom.add(guiState.customPoses, 'maxDistance').min(0.05).max(2.0);
+    guiState.customPoses.teachPose = startTeaching;
+    guiState.customPoses.forgetPose = forgetCustomPose;
+    custom.add(guiState.customPoses, 'teachPose').name('teach pose');
+    custom.add(guiState.customPoses, 'forgetPose').name('forget pose');
+
+    // Smoothing: filters keypoint jitter between frames. The One Euro filter
+    // smooths more at low speeds (lower minCutoff = smoother) and less at
+    // high speeds (higher beta = less lag). alpha is the EMA weight of the
+    // newest frame. showRaw draws the unsmoothed keypoints underneath.
+    let smoothing = gui.addFolder('Smoothing');
+    smoothing.add(guiState.smoothing, 'enabled');
+    smoothing.add(guiState.smoothing, 'method', ['one euro', 'ema']);
+    smoothing.add(guiState.smoothing, 'minCutoff').min(0.01).max(10.0);
+    smoothing.add(guiState.smoothing, 'beta').min(0.0).max(0.2).step(0.001);
+    smoothing.add(guiState.smoothing, 'dCutoff').min(0.1).max(10.0);
+    smoothing.add(guiState.smoothing, 'alpha').min(0.05).max(1.0);
+    smoothing.add(guiState.smoothing, 'showRaw');
+
+    // Body controls: drive the volume, or the position within the song,
+    // continuously from the controlling person's pose. inputMin/inputMax are
+    // in shoulder widths (e.g. how far the wrist is above the shoulder) and
+    // map onto 0-100% of the target. Changes smaller than deadZone (%) or
+    // sooner than throttle (ms) aren't sent.
+    const bodyControls = gui.addFolder('Body Controls');
+    const control = guiState.bodyControl;
+    bodyControls.add(control, 'enabled').name('body control');
+    bodyControls.add(control, 'source', Object.keys(controlSources));
+    bodyControls.add(control, 'target', Object.keys(controlTargets))
+        .onChange(() => bodyControl.reset());
+    bodyControls.add(control, 'inputMin').min(-3.0).max(5.0).step(0.1);
+    bodyControls.add(control, 'inputMax').min(-3.0).max(5.0).step(0.1);
+    bodyControls.add(control, 'deadZone').min(0).max(50).step(1);
+    bodyControls.add(control, 'throttle').min(100).max(5000).step(100);
+    bodyControls.add(control, 'showMeter');
+
+    // Recording: save the estimated poses to a JSON file, or replay such a
+    // file through gesture detection and drawing instead of the camera.
+    let recording = gui.addFolder('Recording');
+    recording.add(guiState.recording, 'record').onChange((record) => {
+        if (record) {
+            poseRecorder.start(performance.now());
+        } else {
+            poseRecorder.stop();
+        }
+    });
+    guiState.recording.download = downloadRecording;
+    guiState.recording.loadReplay =
+        () => document.getElementById('replay-file').click();
+    guiState.recording.stopReplay = stopReplay;
+    recording.add(guiState.recording, 'download').name('download recording');
+    recording.add(guiState.recording, 'loopReplay');
+    recording.add(guiState.recording, 'loadReplay').name('replay file...');
+    recording.add(guiState.recording, 'stopReplay').name('stop replay');
+    const replayFile = document.getElementById('replay-file');
+    replayFile.addEventListener('change', () => {
+        if (replayFile.files.length > 0) {
+            startReplay(replayFile.files[0]);
+            replayFile.value = '';
+        }
+    });
+
+    // Transport: crossed arms pauses and resumes, hands on hips restarts the
+    // song, and a quick sideways swipe of the right wrist at chest height
+    // skips to the next or previous song.
+    let transport = gui.addFolder('Transport');
+    transport.add(guiState.transport, 'enabled');
+    transport.add(guiState.transport, 'swipeDistance')
+        .min(0.5).max(4.0).step(0.1);
+    transport.add(guiState.transport, 'swipeTime').min(100).max(1500).step(50);
+    transport.add(guiState.transport, 'swipeCooldown')
+        .min(0).max(5000).step(100);
+
+    // Pose guide: draws a see-through skeleton of the chosen gesture over the
+    // controlling person, with limbs that are already in place in green and
+    // the ones that aren't in red.
+    let guide = gui.addFolder('Pose Guide');
+    guide.add(guiState.guide, 'enabled');
+    guide.add(
+        guiState.guide, 'gesture',
+        builtInGestures.map((g) => g.name).filter(hasGuide));
+    guide.add(guiState.guide, 'opacity').min(0.1).max(1.0).step(0.05);
+
+    // Pose Says: how many rounds a game has, how long the first round lasts
+    // and how much shorter each round gets, how long the target has to be held,
+    // and the pause between rounds.
+    let game = gui.addFolder('Pose Says');
+    game.add(guiState.game, 'rounds').min(1).max(30).step(1);
+    game.add(guiState.game, 'roundTime').min(1000).max(20000).step(500);
+    game.add(guiState.game, 'minRoundTime').min(1000).max(10000).step(500);
+    game.add(guiState.game, 'speedUp').min(0.5).max(1.0).step(0.05);
+    game.add(guiState.game, 'holdTime').min(0).max(3000).step(100);
+    game.add(guiState.game, 'breakTime').min(0).max(5000).step(250);
+
+    // Debug: runs the model a second time on each frame to show its raw
+    // heatmaps and offset vectors, labels every keypoint with its part name
+    // and score (greyed out below minPartConfidence), and lists which rule
+    // clauses of each gesture pass for the controlling person.
+    let debug = gui.addFolder('Debug');
+    debug.add(guiState.debug, 'enabled').onChange(showDebugPanel);
+    debug.add(guiState.debug, 'showHeatmaps');
+    debug.add(guiState.debug, 'showOffsets');
+    debug.add(guiState.debug, 'showPartLabels');
+    debug.add(guiState.debug, 'showClauses').onChange(showDebugPanel);
+    showDebugPanel();
+
     let output = gui.addFolder('Output');
     output.add(guiState.output, 'showVideo');
     output.add(guiState.output, 'showSkeleton');
     output.add(guiState.output, 'showPoints');
     output.add(guiState.output, 'showBoundingBox');
+    output.add(guiState.output, 'showController');
+    output.add(guiState.output, 'showIds');
+    output.add(guiState.output, 'showGesture');
+    output.add(guiState.output, 'showRuleConfidence');
+    output.add(guiState.output, 'showVisibleParts');
+    output.add(guiState.output, 'showHoldRing');
+    output.add(guiState.output, 'showNowPlaying');
+    // Fill window / fullscreen: show the output as large as the window or the
+    // screen (e.g. for a projector), fitting the picture in whole (contain)
+    // or filling the canvas and cropping the picture (cover).
+    output.add(guiState.output, 'fit', fitModes);
+    output.add(guiState.output, 'fillWindow').onChange(fitCanvas);
+    guiState.output.fullscreen =
+        () => document.getElementById('main').requestFullscreen();
+    output.add(guiState.output, 'fullscreen');
     output.open();
 
 
-    architectureController.onChange(function (architecture) {
+    architectureController.onChange(function() {
         // if architecture is ResNet50, then show ResNet50 options
         updateGui();
-        guiState.changeToArchitecture = architecture;
+        modelReconciler.request(guiState.input);
     });
 
+    // puts the model settings back to those of the model that is running
+    function rollBackModelSettings() {
+        const config = modelReconciler.config;
+        if (guiState.input.architecture !== config.architecture) {
+            guiState.input.architecture = config.architecture;
+            updateGui();
+        }
+        Object.assign(guiState.input, config);
+        input.__controllers.forEach((controller) => controller.updateDisplay());
+    }
+
     algorithmController.onChange(function (value) {
         switch (guiState.algorithm) {
             case 'single-pose':
@@ -392,124 +904,371 @@ function setupGui(cameras, net) {
 }
 
 /**
- * Sets up a frames per second panel on the top-left of the window
+ * Shows the gesture clause list while the debug view lists clauses, and lets
+ * go of the model outputs once it is switched off.
  */
-function setupFPS() {
-    stats.showPanel(0);  // 0: fps, 1: ms, 2: mb, 3+: custom
-    document.getElementById('main').appendChild(stats.dom);
+function showDebugPanel() {
+    const debug = guiState.debug;
+    document.getElementById('debug-panel').style.display =
+        debug.enabled && debug.showClauses ? 'block' : 'none';
+    if (!debug.enabled) {
+        modelDebugView.dispose();
+    }
+}
+
+function showInfo(message) {
+    let info = document.getElementById('info');
+    info.textContent = message;
+    info.style.display = message ? 'block' : 'none';
 }
 
-function calculateSize(srcSize, dstSize) {
-    var srcRatio = srcSize.width / srcSize.height;
-    var dstRatio = dstSize.width / dstSize.height;
-    if (dstRatio > srcRatio) {
-        return {
-            width: dstSize.height * srcRatio,
-            height: dstSize.height
-        };
+function startTeaching() {
+    const label = guiState.customPoses.label.trim();
+    if (!label) {
+        return;
+    }
+    teaching = {
+        label: label,
+        until: performance.now() + guiState.customPoses.captureSeconds * 1000,
+        lastCaptureAt: 0,
+        count: 0,
+    };
+    showInfo(`Hold the '${label}' pose...`);
+}
+
+function forgetCustomPose() {
+    const label = guiState.customPoses.label.trim();
+    customPoses.classifier.removeLabel(label);
+    if (label in customPoses.songs) {
+        delete customPoses.songs[label];
+        delete songLookup[label];
+        saveSongMapping(songLookup);
+    }
+    saveCustomPoses(customPoses.classifier, customPoses.songs);
+}
+
+/**
+ * Stores the most confident pose of the frame as an example for the pose
+ * being taught, at most every 100ms, and binds the label to its song once
+ * the capture time is up.
+ */
+function captureTeachingSample(poses, minPoseConfidence, minPartConfidence) {
+    const now = performance.now();
+
+    const best = poses.filter((pose) => pose.score >= minPoseConfidence)
+        .sort((a, b) => b.score - a.score)[0];
+    if (best && now - teaching.lastCaptureAt >= 100) {
+        const vector = normalizeKeypoints(best.keypoints, minPartConfidence);
+        if (vector) {
+            customPoses.classifier.addExample(teaching.label, vector);
+            teaching.lastCaptureAt = now;
+            teaching.count++;
+            showInfo(`Hold the '${teaching.label}' pose... ` +
+                `${teaching.count} samples`);
+        }
+    }
+
+    if (now >= teaching.until) {
+        const trackUri = guiState.customPoses.trackUri.trim();
+        if (trackUri) {
+            const song = {
+                uri: trackUri,
+                position: guiState.customPoses.startSeconds * 1000,
+            };
+            customPoses.songs[teaching.label] = song;
+            songLookup[teaching.label] = song;
+            saveSongMapping(songLookup);
+        }
+        saveCustomPoses(customPoses.classifier, customPoses.songs);
+        const taught =
+            `Learned '${teaching.label}' from ${teaching.count} samples`;
+        showInfo(taught);
+        setTimeout(() => {
+            if (document.getElementById('info').textContent === taught) {
+                showInfo('');
+            }
+        }, 3000);
+        teaching = null;
+    }
+}
+
+function downloadRecording() {
+    if (poseRecorder.frames.length === 0) {
+        return;
+    }
+    const date = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `poses-${date}.json`;
+    downloadFile(filename, JSON.stringify(poseRecorder), 'application/json');
+}
+
+function startReplay(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let recording;
+        try {
+            recording = parseRecording(reader.result);
+        } catch (ex) {
+            showInfo(`Could not replay ${file.name}: ${ex.message}`);
+            return;
+        }
+        poseReplay = new PoseReplay(
+            recording, performance.now(), guiState.recording.loopReplay);
+        showInfo(`Replaying ${file.name}`);
+    };
+    reader.readAsText(file);
+}
+
+function stopReplay() {
+    if (poseReplay) {
+        poseReplay = null;
+        showInfo('');
+    }
+}
+
+/**
+ * Classifies a pose's keypoints with the rule definitions, the custom pose
+ * classifier, or both, depending on the GUI mode. Returns {label, confidence}.
+ */
+function classifyGesture(keypoints, minPartConfidence) {
+    return classifyPose(keypoints, {
+        mode: guiState.customPoses.mode,
+        gestures: builtInGestures,
+        minPartConfidence: minPartConfidence,
+        customClassifier: customPoses.classifier,
+        k: guiState.customPoses.k,
+        maxDistance: guiState.customPoses.maxDistance,
+    });
+}
+
+/**
+ * Labels a pose with its tracking id, next to the top of its bounding box.
+ */
+function drawPoseId(ctx, id, keypoints) {
+    const box = posenet.getBoundingBox(keypoints);
+    ctx.font = '16px sans-serif';
+    ctx.fillStyle = poseIdColor;
+    ctx.fillText(`#${id}`, box.maxX + 4, box.minY + 16);
+}
+
+/**
+ * Draws a vertical meter for a body control value (0 to 100, or null when
+ * it can't be measured) on the right edge of the canvas.
+ */
+function drawMeter(ctx, label, value) {
+    const width = 20;
+    const height = 150;
+    const x = ctx.canvas.width - width - 16;
+    const y = 16;
+
+    ctx.strokeStyle = meterColor;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x, y, width, height);
+    if (value !== null) {
+        const filled = height * value / 100;
+        ctx.fillStyle = meterColor;
+        ctx.fillRect(x, y + height - filled, width, filled);
+    }
+
+    ctx.font = '12px sans-serif';
+    ctx.fillStyle = meterColor;
+    ctx.textAlign = 'center';
+    ctx.fillText(label, x + width / 2, y + height + 14);
+    ctx.fillText(
+        value === null ? '-' : `${value}%`, x + width / 2, y + height + 28);
+    ctx.textAlign = 'start';
+}
+
+/**
+ * Highlights the target pose in #pose-examples, or none if target is null.
+ */
+function showGameTarget(target) {
+    const examples = document.querySelectorAll('#pose-examples [data-pose]');
+    examples.forEach((example) => {
+        example.classList.toggle(
+            'game-target', example.dataset.pose === target);
+    });
+}
+
+function startGame(names) {
+    if (names.length > 1 && guiState.algorithm !== 'multi-pose') {
+        showStatus(
+            'Two players need multi-pose detection, ' +
+            'switch the algorithm in the settings', 'warning');
+        return false;
+    }
+    const {target} = poseGame.start(names, performance.now());
+    showGameTarget(target);
+    return true;
+}
+
+function stopGame() {
+    poseGame.stop();
+    showGameTarget(null);
+}
+
+/**
+ * Picks the candidate each player is. One player is whoever the control
+ * policy picked; with two players, player 1 is the largest person on the left
+ * half of the canvas and player 2 the largest on the right half.
+ */
+function findGamePlayers(candidates, controllers, width) {
+    if (poseGame.players.length === 1) {
+        return [controllers.length > 0 ? controllers[0] : null];
+    }
+    const area = ({minX, minY, maxX, maxY}) => (maxX - minX) * (maxY - minY);
+    const largestOnSide = (onLeft) => candidates
+        .filter((c) => (c.box.minX + c.box.maxX) / 2 < width / 2 === onLeft)
+        .reduce((best, c) => {
+            return best === null || area(c.box) > area(best.box) ? c : best;
+        }, null);
+    return [largestOnSide(true), largestOnSide(false)];
+}
+
+/**
+ * Advances the game by a frame: the first player to hit the target gets its
+ * song as a reward, and the scores go to the leaderboard at the end.
+ */
+function playGameFrame(players, now) {
+    const labels =
+        players.map((player) => player ? player.gesture.label : null);
+    poseGame.update(labels, now).forEach((event) => {
+        switch (event.type) {
+            case 'round':
+                showGameTarget(event.target);
+                break;
+            case 'hit':
+                if (event.first) {
+                    pendingStateUpdate = pendingStateUpdate.then(
+                        () => updateState(event.target));
+                }
+                break;
+            case 'end':
+                showGameTarget(null);
+                gamePanel.recordScores(event.players);
+                break;
+        }
+    });
+}
+
+/**
+ * Draws the target, its example picture and the countdown at the top of the
+ * canvas, and each player's score and hold progress at the bottom.
+ */
+function drawGame(ctx, now) {
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+    const twoPlayers = poseGame.players.length > 1;
+
+    ctx.fillStyle = gameColor;
+    ctx.strokeStyle = gameColor;
+    ctx.textAlign = 'center';
+    ctx.font = '28px sans-serif';
+    if (poseGame.phase === 'posing') {
+        const seconds = Math.ceil(poseGame.timeLeft(now) / 1000);
+        ctx.fillText(`${poseGame.target}!  ${seconds}`, width / 2, 36);
+        const image = document.querySelector(
+            `#pose-examples [data-pose="${poseGame.target}"] img`);
+        if (image && image.naturalHeight > 0) {
+            const imageHeight = 80;
+            const imageWidth =
+                imageHeight * image.naturalWidth / image.naturalHeight;
+            ctx.drawImage(
+                image, (width - imageWidth) / 2, 48, imageWidth, imageHeight);
+        }
     } else {
-        return {
-            width: dstSize.width,
-            height: dstSize.width / srcRatio
-        };
+        ctx.fillText('Get ready...', width / 2, 36);
+    }
+
+    if (twoPlayers) {
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(width / 2, 140);
+        ctx.lineTo(width / 2, height);
+        ctx.stroke();
     }
+
+    const barWidth = 120;
+    ctx.font = '20px sans-serif';
+    poseGame.players.forEach((player, i) => {
+        const x = twoPlayers ? width * (i === 0 ? 0.25 : 0.75) : width / 2;
+        ctx.fillText(`${player.name}: ${player.score}`, x, height - 40);
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x - barWidth / 2, height - 30, barWidth, 10);
+        ctx.fillRect(
+            x - barWidth / 2, height - 30,
+            barWidth * poseGame.holdProgress(i, now), 10);
+    });
+    ctx.textAlign = 'start';
+}
+
+/**
+ * Draws the now-playing track and, for the controlling person, the matched
+ * gesture, how close they are to each rule-based gesture and the hold ring.
+ */
+function drawHud(ctx, gesture, controllers, minPartConfidence, now) {
+    const output = guiState.output;
+    let y = 10;
+    if (output.showNowPlaying && nowPlaying) {
+        nowPlaying.update(now);
+        y = drawNowPlaying(ctx, nowPlaying);
+    }
+
+    const controller = controllers.length > 0 ? controllers[0] : null;
+    drawGestureHud(ctx, y, {
+        gesture: controller &&
+            {label: gesture, confidence: controller.gesture.confidence},
+        holdProgress: gestureTrigger.holdProgress(now),
+        reports: controller ? builtInGestures.map((g) => {
+            return scoreGesture(g, controller.pose.keypoints,
+                                minPartConfidence);
+        }) : [],
+    }, {
+        gesture: output.showGesture,
+        holdRing: output.showHoldRing,
+        ruleConfidence: output.showRuleConfidence,
+        visibleParts: output.showVisibleParts,
+    });
+}
+
+/**
+ * Highlights the person whose pose controls the music.
+ */
+function drawController(ctx, controller, label) {
+    drawBoundingBox(controller.pose.keypoints, ctx, controllerColor);
+    const box = controller.box;
+    ctx.font = '16px sans-serif';
+    ctx.fillStyle = controllerColor;
+    ctx.fillText(label, box.minX, box.minY - 6);
+}
+
+/**
+ * Sets up a frames per second panel on the top-left of the window
+ */
+function setupFPS() {
+    stats.showPanel(0);  // 0: fps, 1: ms, 2: mb, 3+: custom
+    document.getElementById('main').appendChild(stats.dom);
 }
 
 /**
  * Feeds an image to posenet to estimate poses - this is where the magic
  * happens. This function loops with a requestAnimationFrame method.
  */
-function detectPoseInRealTime(video, net) {
+function detectPoseInRealTime(video) {
     const canvas = document.getElementById('output');
     const ctx = canvas.getContext('2d');
+    let stopped = false;
 
-    // since images are being fed from a webcam, we want to feed in the
-    // original image and then just flip the keypoints' x coordinates. If instead
-    // we flip the image, then correcting left-right keypoint pairs requires a
-    // permutation on all the keypoints.
-    const flipPoseHorizontal = true;
+    fitCanvas();
 
-    canvas.width = videoWidth;
-    canvas.height = videoHeight;
-
-    async function poseDetectionFrame() {
-        if (guiState.changeToArchitecture) {
-            // Important to purge variables and free up GPU memory
-            guiState.net.dispose();
-            toggleLoadingUI(true);
-            guiState.net = await posenet.load({
-                architecture: guiState.changeToArchitecture,
-                outputStride: guiState.outputStride,
-                inputResolution: guiState.inputResolution,
-                multiplier: guiState.multiplier,
-            });
-            toggleLoadingUI(false);
-            guiState.architecture = guiState.changeToArchitecture;
-            guiState.changeToArchitecture = null;
-        }
-
-        if (guiState.changeToMultiplier) {
-            guiState.net.dispose();
-            toggleLoadingUI(true);
-            guiState.net = await posenet.load({
-                architecture: guiState.architecture,
-                outputStride: guiState.outputStride,
-                inputResolution: guiState.inputResolution,
-                multiplier: +guiState.changeToMultiplier,
-                quantBytes: guiState.quantBytes
-            });
-            toggleLoadingUI(false);
-            guiState.multiplier = +guiState.changeToMultiplier;
-            guiState.changeToMultiplier = null;
-        }
-
-        if (guiState.changeToOutputStride) {
-            // Important to purge variables and free up GPU memory
-            guiState.net.dispose();
-            toggleLoadingUI(true);
-            guiState.net = await posenet.load({
-                architecture: guiState.architecture,
-                outputStride: +guiState.changeToOutputStride,
-                inputResolution: guiState.inputResolution,
-                multiplier: guiState.multiplier,
-                quantBytes: guiState.quantBytes
-            });
-            toggleLoadingUI(false);
-            guiState.outputStride = +guiState.changeToOutputStride;
-            guiState.changeToOutputStride = null;
-        }
-
-        if (guiState.changeToInputResolution) {
-            // Important to purge variables and free up GPU memory
-            guiState.net.dispose();
-            toggleLoadingUI(true);
-            guiState.net = await posenet.load({
-                architecture: guiState.architecture,
-                outputStride: guiState.outputStride,
-                inputResolution: +guiState.changeToInputResolution,
-                multiplier: guiState.multiplier,
-                quantBytes: guiState.quantBytes
-            });
-            toggleLoadingUI(false);
-            guiState.inputResolution = +guiState.changeToInputResolution;
-            guiState.changeToInputResolution = null;
-        }
-
-        if (guiState.changeToQuantBytes) {
-            // Important to purge variables and free up GPU memory
-            guiState.net.dispose();
-            toggleLoadingUI(true);
-            guiState.net = await posenet.load({
-                architecture: guiState.architecture,
-                outputStride: guiState.outputStride,
-                inputResolution: guiState.inputResolution,
-                multiplier: guiState.multiplier,
-                quantBytes: guiState.changeToQuantBytes
-            });
-            toggleLoadingUI(false);
-            guiState.quantBytes = guiState.changeToQuantBytes;
-            guiState.changeToQuantBytes = null;
-        }
+    /**
+     * Estimates, draws and acts on the poses of one frame with net.
+     */
+    async function detectFrame(net) {
+        // since images are being fed from a webcam, we want to feed in the
+        // original image and then just flip the keypoints' x coordinates. If
+        // instead we flip the image, then correcting left-right keypoint pairs
+        // requires a permutation on all the keypoints.
+        const flipPoseHorizontal = guiState.camera.mirror;
 
         // Begin monitoring code for frames per second
         stats.begin();
@@ -519,59 +1278,103 @@ function detectPoseInRealTime(video, net) {
         let minPartConfidence;
         switch (guiState.algorithm) {
             case 'single-pose':
-                const pose = await guiState.net.estimatePoses(video, {
-                    flipHorizontal: flipPoseHorizontal,
-                    decodingMethod: 'single-person'
-                });
-                poses = poses.concat(pose);
+                if (!poseReplay) {
+                    const pose = await net.estimatePoses(video, {
+                        flipHorizontal: flipPoseHorizontal,
+                        decodingMethod: 'single-person',
+                    });
+                    poses = poses.concat(pose);
+                }
                 minPoseConfidence = +guiState.singlePoseDetection.minPoseConfidence;
                 minPartConfidence = +guiState.singlePoseDetection.minPartConfidence;
                 break;
             case 'multi-pose':
-                let all_poses = await guiState.net.estimatePoses(video, {
-                    flipHorizontal: flipPoseHorizontal,
-                    decodingMethod: 'multi-person',
-                    maxDetections: guiState.multiPoseDetection.maxPoseDetections,
-                    scoreThreshold: guiState.multiPoseDetection.minPartConfidence,
-                    nmsRadius: guiState.multiPoseDetection.nmsRadius
-                });
-
-                poses = poses.concat(all_poses);
+                if (!poseReplay) {
+                    const allPoses = await net.estimatePoses(video, {
+                        flipHorizontal: flipPoseHorizontal,
+                        decodingMethod: 'multi-person',
+                        maxDetections:
+                            guiState.multiPoseDetection.maxPoseDetections,
+                        scoreThreshold:
+                            guiState.multiPoseDetection.minPartConfidence,
+                        nmsRadius: guiState.multiPoseDetection.nmsRadius,
+                    });
+
+                    poses = poses.concat(allPoses);
+                }
                 minPoseConfidence = +guiState.multiPoseDetection.minPoseConfidence;
                 minPartConfidence = +guiState.multiPoseDetection.minPartConfidence;
                 break;
         }
 
-        ctx.clearRect(0, 0, videoWidth, videoHeight);
+        if (guiState.debug.enabled && !poseReplay) {
+            await modelDebugView.update(net, video, videoWidth, videoHeight);
+        }
+
+        if (poseReplay) {
+            const now = performance.now();
+            if (poseReplay.isFinished(now)) {
+                stopReplay();
+            } else {
+                poses = poseReplay.posesAt(now, videoWidth, videoHeight);
+            }
+        }
+
+        poseRecorder.addFrame(poses, performance.now());
+
+        // give each confident pose an id that follows the person between frames
+        poseTracker.update(
+            poses.filter((pose) => pose.score >= minPoseConfidence),
+            minPartConfidence);
+
+        // smooth keypoint jitter before drawing and gesture detection
+        if (guiState.smoothing.enabled) {
+            poses = poseSmoother.smooth(poses, performance.now());
+        }
 
-        if (guiState.output.showVideo) {
-            // var videoSize = { width: video.videoWidth, height: video.videoHeight };
-            // var canvasSize = { width: canvas.width, height: canvas.height };
-            // var renderSize = calculateSize(videoSize, canvasSize);
-            // // console.log(renderSize);
-            // // var xOffset = (canvasSize.width - renderSize.width) / 2;
-            // // ctx.drawImage(video, xOffset, 0, renderSize.width, renderSize.height);
+        resetTransform(ctx);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
 
-            // ctx.save();
-            // ctx.scale(-1, 1);
-            // ctx.translate(-renderSize.width, 0);
-            // ctx.drawImage(video, 0, 0, renderSize.width, renderSize.height);
-            // ctx.restore();
+        // draw in the coordinates of the picture poses were detected in,
+        // fitted onto the canvas
+        applyTransform(ctx, fitTransform(
+            videoWidth, videoHeight, canvas.width, canvas.height,
+            guiState.output.fit));
 
+        if (poseReplay) {
+            // there is no video for recorded poses
+            ctx.fillStyle = 'black';
+            ctx.fillRect(0, 0, videoWidth, videoHeight);
+        } else if (guiState.output.showVideo) {
             ctx.save();
-            ctx.scale(-1, 1);
-            ctx.translate(-videoWidth, 0);
+            if (flipPoseHorizontal) {
+                ctx.scale(-1, 1);
+                ctx.translate(-videoWidth, 0);
+            }
             ctx.drawImage(video, 0, 0, videoWidth, videoHeight);
             ctx.restore();
+        }
 
-            // drawImageProp(ctx, video, 0, 0, canvas.scrollWidth, canvas.scrollHeight);
+        if (guiState.debug.enabled && !poseReplay) {
+            modelDebugView.draw(ctx, flipPoseHorizontal, {
+                heatmaps: guiState.debug.showHeatmaps,
+                offsets: guiState.debug.showOffsets,
+            });
         }
 
         // For each pose (i.e. person) detected in an image, loop through the poses
         // and draw the resulting skeleton and keypoints if over certain confidence
         // scores
-        poses.forEach(({ score, keypoints }) => {
+        poses.forEach(({id, score, keypoints, rawKeypoints}) => {
             if (score >= minPoseConfidence) {
+                if (guiState.smoothing.showRaw && rawKeypoints) {
+                    drawKeypoints(
+                        rawKeypoints, minPartConfidence, ctx, 1,
+                        rawKeypointColor);
+                    drawSkeleton(
+                        rawKeypoints, minPartConfidence, ctx, 1,
+                        rawKeypointColor);
+                }
                 if (guiState.output.showPoints) {
                     drawKeypoints(keypoints, minPartConfidence, ctx);
                 }
@@ -581,139 +1384,206 @@ function detectPoseInRealTime(video, net) {
                 if (guiState.output.showBoundingBox) {
                     drawBoundingBox(keypoints, ctx);
                 }
+                if (guiState.output.showIds) {
+                    drawPoseId(ctx, id, keypoints);
+                }
+                if (guiState.debug.enabled && guiState.debug.showPartLabels) {
+                    drawPartLabels(ctx, keypoints, minPartConfidence);
+                }
             }
         });
 
-        // try to detect the pose for music
+        if (teaching) {
+            captureTeachingSample(poses, minPoseConfidence, minPartConfidence);
+        }
 
-        poses.forEach(async ({ score, keypoints }) => {
-            if (score >= minPoseConfidence) {
-                // console.log(keypoints);
-
-                function isAllConfidentParts(partNames) {
-                    return partNames.map(partName => {
-                        var keypoint = keypoints.find(kp => kp.part === partName);
-                        return keypoint.score;
-                    })
-                        .every(confidence => {
-                            return confidence > minPartConfidence;
-                        });
-                }
+        // try to detect the pose for music, and pick whose pose counts
+        let candidates = [];
+        if (!teaching) {
+            candidates = poses.filter((pose) => pose.score >= minPoseConfidence)
+                .map((pose) => ({
+                    pose: pose,
+                    gesture: classifyGesture(pose.keypoints, minPartConfidence),
+                }));
+        }
+        const policy = guiState.algorithm === 'multi-pose' ?
+            guiState.multiPoseDetection.controlPolicy : 'largest';
+        const {gesture, controllers} =
+            controlPolicy.choose(candidates, policy, minPartConfidence);
+
+        // detections are logged when the controlling person's gesture changes,
+        // not on every frame
+        if (gesture !== loggedGesture) {
+            loggedGesture = gesture;
+            const confidence =
+                controllers.length > 0 ? controllers[0].gesture.confidence : 0;
+            sessionLog.add('pose', {
+                gesture: gesture || 'none',
+                confidence: Math.round(confidence * 100) / 100,
+                people: candidates.length,
+            }, performance.now());
+        }
 
-                function getScore(partName) {
-                    var keypoint = keypoints.find(kp => kp.part === partName);
-                    return keypoint.score;
-                }
+        if (guiState.output.showController) {
+            controllers.forEach((controller) => {
+                drawController(
+                    ctx, controller, policy === 'DJ' ? 'DJ' : 'controller');
+            });
+        }
 
-                function getX(partName) {
-                    var keypoint = keypoints.find(kp => kp.part === partName);
-                    return keypoint.position.x;
-                }
+        if (guiState.debug.enabled && guiState.debug.showClauses) {
+            const reports = controllers.length > 0 ?
+                explainGestures(
+                    builtInGestures.concat(transportGestures),
+                    controllers[0].pose.keypoints, minPartConfidence) :
+                null;
+            showGestureClauses(document.getElementById('debug-panel'), reports);
+        }
 
-                function getY(partName) {
-                    var keypoint = keypoints.find(kp => kp.part === partName);
-                    return keypoint.position.y;
-                }
+        if (guiState.guide.enabled && controllers.length > 0) {
+            const guideGesture = builtInGestures.find(
+                (g) => g.name === guiState.guide.gesture);
+            drawGuide(
+                ctx, guideGesture, controllers[0].pose.keypoints,
+                minPartConfidence, guiState.guide.opacity);
+        }
 
-                const headParts = ['nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar'];
+        // the rest is drawn over the canvas as it is
+        resetTransform(ctx);
 
-                function headX() {
-                    let vals = headParts.filter(partName => {
-                        return getScore(partName) > minPartConfidence;
-                    })
-                        .map(partName => {
-                            return getX(partName);
-                        });
+        // continuous controls follow the (first) controlling person
+        const controlValue = bodyControl.update(
+            controllers.length > 0 ? controllers[0].pose.keypoints : null,
+            minPartConfidence, performance.now());
+        const control = guiState.bodyControl;
+        if (control.enabled && control.showMeter) {
+            drawMeter(ctx, control.target, controlValue);
+        }
 
-                    const avg = vals.reduce((a, b) => a + b, 0) / vals.length;
-                    return avg;
-                }
+        // during a game the game picks the songs
+        if (poseGame.isRunning) {
+            const now = performance.now();
+            playGameFrame(
+                findGamePlayers(candidates, controllers, videoWidth), now);
+            if (poseGame.isRunning) {
+                drawGame(ctx, now);
+            }
+        }
 
-                function headY() {
-                    let vals = headParts.filter(partName => {
-                        return getScore(partName) > minPartConfidence;
-                    })
-                        .map(partName => {
-                            return getY(partName);
-                        });
+        // transport gestures of the controlling person take precedence over
+        // song gestures
+        let transportAction = null;
+        let transportGesture = null;
+        if (guiState.transport.enabled && !poseGame.isRunning) {
+            const controllerKeypoints =
+                controllers.length > 0 ? controllers[0].pose.keypoints : null;
+            transportGesture = controllerKeypoints && detectGesture(
+                transportGestures, controllerKeypoints, minPartConfidence);
+            const triggeredTransport =
+                transportTrigger.update(transportGesture, performance.now());
+            const swipe = swipeDetector.update(
+                controllerKeypoints, minPartConfidence, performance.now());
+            if (triggeredTransport) {
+                transportAction = transportGestures
+                    .find((g) => g.name === triggeredTransport).action;
+            } else if (swipe && !transportGesture) {
+                transportAction = swipeActions[swipe];
+            }
+        }
+        if (transportAction) {
+            pendingStateUpdate = pendingStateUpdate.then(
+                () => performTransport(transportAction));
+        }
 
-                    const avg = vals.reduce((a, b) => a + b, 0) / vals.length;
-                    return avg;
-                }
+        const songGesture =
+            transportGesture || poseGame.isRunning ? null : gesture;
+        const triggeredGesture =
+            gestureTrigger.update(songGesture, performance.now());
+        if (triggeredGesture) {
+            sessionLog.add(
+                'trigger', {gesture: triggeredGesture}, performance.now());
+            // song switches run one at a time, in the order they triggered
+            pendingStateUpdate =
+                pendingStateUpdate.then(() => updateState(triggeredGesture));
+        }
 
-                // check for hands above heads
-                if (isAllConfidentParts(['leftWrist', 'leftElbow', 'leftShoulder', 'rightWrist', 'rightElbow', 'rightShoulder']) &&
-                    (
-                        getY('leftWrist') < getY('leftElbow') && getY('leftElbow') < getY('leftShoulder') &&
-                        getY('rightWrist') < getY('rightElbow') && getY('rightElbow') < getY('rightShoulder')
-                    ) &&
-                    (
-                        (getX('leftWrist') < headX() && getX('rightWrist') > headX()) ||
-                        (getX('leftWrist') > headX() && getX('rightWrist') < headX())
-                    )
-                ) {
-                    await updateState('YMCA');
-                }
-                // check for sharks
-                else if (
-                    isAllConfidentParts(['leftWrist', 'leftElbow', 'leftShoulder', 'rightWrist', 'rightElbow', 'rightShoulder']) &&
-                    (
-                        (getY('leftWrist') < getY('leftElbow') && getY('leftElbow') < getY('leftShoulder') &&
-                            getY('rightWrist') > getY('rightElbow') && getY('rightElbow') > getY('rightShoulder'))
-                        ||
-                        ((getY('leftWrist') > getY('leftElbow') && getY('leftElbow') > getY('leftShoulder') &&
-                            getY('rightWrist') < getY('rightElbow') && getY('rightElbow') < getY('rightShoulder')))
-                    ) &&
-                    (
-                        (getX('leftWrist') < headX() && getX('rightWrist') < headX()) ||
-                        (getX('leftWrist') > headX() && getX('rightWrist') > headX())
-                    )
-                ) {
-                    await updateState('Baby Shark');
-                }
-                // check for disco
-                else if (
-                    isAllConfidentParts(['leftWrist', 'leftElbow', 'leftShoulder', 'rightWrist', 'rightElbow', 'rightShoulder']) &&
-                    (
-                        (getY('leftWrist') < getY('leftElbow') && getY('leftElbow') < getY('leftShoulder') &&
-                            getY('rightWrist') > getY('rightElbow') && getY('rightElbow') > getY('rightShoulder'))
-                        ||
-                        ((getY('leftWrist') > getY('leftElbow') && getY('leftElbow') > getY('leftShoulder') &&
-                            getY('rightWrist') < getY('rightElbow') && getY('rightElbow') < getY('rightShoulder')))
-                    ) &&
-                    (
-                        (getX('leftWrist') < headX() && getX('rightWrist') > headX()) ||
-                        (getX('leftWrist') > headX() && getX('rightWrist') < headX())
-                    )
-                ) {
-                    await updateState('Disco');
-                }
-                // check for thriller
-                else if (
-                    isAllConfidentParts(['leftWrist', 'leftElbow', 'rightWrist', 'rightElbow']) &&
-                    (
-                        (getY('leftWrist') < getY('leftElbow') &&
-                            getY('rightWrist') < getY('rightElbow'))
-
-                    ) &&
-                    (
-                        (getX('leftWrist') < headX() && getX('rightWrist') < headX()) ||
-                        (getX('leftWrist') > headX() && getX('rightWrist') > headX())
-                    )
-                ) {
-                    await updateState('Thriller');
-                }
+        drawHud(
+            ctx, gesture, controllers, minPartConfidence, performance.now());
 
-            }
-        });
+        const fps = fpsSampler.update(performance.now());
+        if (fps !== null) {
+            sessionLog.add('fps', {
+                fps: fps,
+                people: poses
+                    .filter((pose) => pose.score >= minPoseConfidence).length,
+            }, performance.now());
+        }
 
         // End monitoring code for frames per second
         stats.end();
+    }
+
+    async function poseDetectionFrame() {
+        // the model can't be disposed of while the frame is using it
+        const net = modelReconciler.acquire();
+        try {
+            await detectFrame(net);
+        } catch (ex) {
+            // one bad frame mustn't stop detection
+            console.error('Pose detection failed on a frame', ex);
+        } finally {
+            modelReconciler.release();
+        }
 
-        requestAnimationFrame(poseDetectionFrame);
+        if (!stopped) {
+            requestAnimationFrame(poseDetectionFrame);
+        }
     }
 
     poseDetectionFrame();
+    return {
+        stop: () => {
+            stopped = true;
+        },
+    };
+}
+
+/**
+ * Adds a model load that has finished, and the settings it was for, to the
+ * session log.
+ */
+function logModelLoad(action, config, startedAt, message) {
+    const now = performance.now();
+    sessionLog.add('model', Object.assign({
+        action: action,
+        duration: Math.round(now - startedAt),
+        message: message,
+    }, config), now);
+}
+
+/**
+ * Loads posenet for the model settings, from POSENET_MODEL_URL if it is set.
+ */
+function loadModel(config) {
+    return posenet.load({
+        architecture: config.architecture,
+        outputStride: +config.outputStride,
+        inputResolution: +config.inputResolution,
+        multiplier: +config.multiplier,
+        quantBytes: +config.quantBytes,
+        modelUrl: modelUrl(config),
+    });
+}
+
+/**
+ * Lists the models whose weights the service worker has cached, so it is
+ * clear which settings work offline. Refreshed each time it caches a weights
+ * file.
+ */
+async function showOfflineModels() {
+    const models = await listOfflineModels();
+    document.getElementById('offline-models').textContent = models.length > 0 ?
+        `Available offline: ${models.join(', ')}` : '';
 }
 
 /**
@@ -722,97 +1592,187 @@ function detectPoseInRealTime(video, net) {
  */
 export async function bindPage() {
     toggleLoadingUI(true);
-    const net = await posenet.load({
-        architecture: guiState.input.architecture,
-        outputStride: guiState.input.outputStride,
-        inputResolution: guiState.input.inputResolution,
-        multiplier: guiState.input.multiplier,
-        quantBytes: guiState.input.quantBytes
-    });
+    const loadStartedAt = performance.now();
+    const net = await loadModel(guiState.input);
+    logModelLoad('loaded', guiState.input, loadStartedAt);
     toggleLoadingUI(false);
-
-    let video;
+    cacheLoadedResources();
 
     try {
-        video = await loadVideo();
+        currentInput = await loadVideo();
     } catch (e) {
-        let info = document.getElementById('info');
-        info.textContent = 'this browser does not support video capture,' +
-            'or this device does not have a camera';
-        info.style.display = 'block';
-        throw e;
+        // a video or image file can still be used
+        console.error(e);
+        showInfo('this browser does not support video capture, ' +
+            'or this device does not have a camera. ' +
+            'Open a video or image file from the Camera settings instead.');
     }
 
-    setupGui([], net);
+    // camera names are only available once the user has allowed the camera
+    setupGui(await listCameras(), net);
     // setupFPS();
-    detectPoseInRealTime(video, net);
+    if (currentInput) {
+        detection = detectPoseInRealTime(currentInput);
+    }
 }
 
-// check if access code in browser path
-console.log(window.location.href);
+// how often the Spotify device list is refreshed, in ms
+const deviceRefreshInterval = 10 * 1000;
 
-// seperate the params
-const hashIndex = window.location.href.indexOf('#');
-const paramString = window.location.href.substr(hashIndex + 1);
+// settings that survive the round-trip through the Spotify login page
+const tabStateSettings = [
+    'algorithm', 'camera', 'singlePoseDetection', 'multiPoseDetection',
+    'trigger', 'customPoses', 'smoothing', 'bodyControl', 'transport', 'guide',
+    'debug', 'game', 'output',
+];
 
-var urlParams = new URLSearchParams(paramString);
-if (urlParams.has('access_token')) {
-    sessionStorage.setItem('spotify_access_code', urlParams.get('access_token'));
+function getTabState() {
+    const settings = {};
+    tabStateSettings.forEach((key) => {
+        settings[key] = guiState[key];
+    });
+    return {
+        device: devicePicker ? devicePicker.selectedDevice() : null,
+        settings: JSON.parse(JSON.stringify(settings)),
+    };
 }
 
-function authorize() {
-    var redirect = 'unknown';
-    if (window.location.hostname === 'localhost') {
-        redirect = encodeURI(window.location.origin);
+function restoreTabState(tabState) {
+    tabStateSettings.forEach((key) => {
+        const value = tabState.settings[key];
+        if (value === undefined) {
+            return;
+        }
+        if (typeof value === 'object') {
+            Object.assign(guiState[key], value);
+        } else {
+            guiState[key] = value;
+        }
+    });
+}
+
+/**
+ * Called when Spotify rejects the access token. Tries a silent refresh and
+ * only falls back to the login redirect if that fails. Resolves to true if
+ * the request can be retried with the new token.
+ */
+async function handleUnauthorized() {
+    try {
+        spotifyApi.setAccessToken(await refreshAccessToken());
+        return true;
     }
-    else {
-        redirect = encodeURI(window.location.origin + '/posemusic-web');
+    catch (ex) {
+        authorize(getTabState());
+        return false;
     }
-
-    window.location.href = "https://accounts.spotify.com/authorize?client_id=a1dfceece4a24c249303bcdd0a3f865e&redirect_uri=" + redirect + "&scope=user-modify-playback-state%20user-read-playback-state&response_type=token";
 }
 
-document.getElementById("login-btn").addEventListener("click", authorize);
-
-// check if logged in to spotify
-if (sessionStorage.getItem("spotify_access_code") == null) {
-    // wait for authorize button to be clicked
-    // return;
+async function searchTracks(query) {
+    const response = await callSpotify(
+        'search tracks', () => spotifyApi.searchTracks(query, {limit: 10}));
+    return response.tracks.items;
 }
-else {
-    var accessToken = sessionStorage.getItem("spotify_access_code");
-    spotifyApi.setAccessToken(accessToken);
 
-    // hide the login button
-    document.getElementById("login-btn").style.display = "none";
-    document.getElementById("page-content").style.display = "block";
+/**
+ * Hides the login gate and starts pose detection.
+ */
+function startPage() {
+    document.getElementById('login-container').style.display = 'none';
+    document.getElementById('page-content').style.display = 'block';
+
+    setupSongEditor(songLookup, {
+        playback: playback,
+        searchTracks: playback instanceof SpotifyPlayback ? searchTracks : null,
+        // let the next pose start its song again after a preview
+        onPreview: () => currentState = '',
+    });
+    gamePanel = setupGamePanel({onStart: startGame, onStop: stopGame});
+    setupSessionLogPanel(sessionLog);
+    nowPlaying = new NowPlaying(playback);
 
+    navigator.getUserMedia = navigator.getUserMedia ||
+        navigator.webkitGetUserMedia || navigator.mozGetUserMedia;
+    // kick off the demo
+    bindPage();
+}
 
-    async function updateDeviceList() {
-        let deviceResponse;
-        try {
-            deviceResponse = await spotifyApi.getMyDevices();
-        }
-        catch (ex) {
-            if (ex.status === 401) {
-                authorize();
+/**
+ * Adds a file picker for every pose that has a song, so local audio files
+ * can be played instead of Spotify tracks.
+ */
+function setupLocalFiles(localPlayback) {
+    const container = document.getElementById('local-files');
+    Object.keys(songLookup).forEach((name) => {
+        const label = document.createElement('label');
+        label.textContent = name + ' ';
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'audio/*';
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                localPlayback.setFile(name, input.files[0]);
             }
-        }
-        var devices = deviceResponse.devices;
-        var devicesSelect = document.querySelector('#devices');
-        devicesSelect.innerHTML = "";
-        devices.forEach(device => {
-            var optionElement = document.createElement('option');
-            optionElement.value = device.id
-            optionElement.text = device.name;
-            devicesSelect.appendChild(optionElement);
         });
+        label.appendChild(input);
+        container.appendChild(label);
+    });
+    container.style.display = 'block';
+}
+
+/**
+ * Finishes a Spotify login redirect if this page load is one, and starts the
+ * app with Spotify playback if there is a usable access token.
+ */
+async function startSpotify() {
+    let tabState;
+    try {
+        tabState = await completeAuthorization();
+    } catch (ex) {
+        console.error(ex);
+    }
+
+    const accessToken = await getAccessToken();
+    if (accessToken === null) {
+        // wait for a login button to be clicked
+        return;
     }
+    spotifyApi.setAccessToken(accessToken);
 
-    updateDeviceList();
+    devicePicker = new DevicePicker(spotifyApi, callSpotify, getAccessToken);
+    if (tabState) {
+        restoreTabState(tabState);
+        devicePicker.preferredDevice =
+            tabState.device || devicePicker.preferredDevice;
+    }
 
-    navigator.getUserMedia = navigator.getUserMedia ||
-        navigator.webkitGetUserMedia || navigator.mozGetUserMedia;
-    // kick off the demo
-    bindPage();
+    keepTokenFresh(
+        (token) => spotifyApi.setAccessToken(token),
+        (ex) => {
+            console.error('Could not renew the Spotify token:', ex);
+            showStatus(
+                'Could not renew the Spotify login. ' +
+                'You may need to log in again soon.', 'warning');
+        });
+    playback = new SpotifyPlayback(
+        spotifyApi, () => devicePicker.selectedDevice(), callSpotify);
+
+    devicePicker.startAutoRefresh(deviceRefreshInterval);
+
+    startPage();
 }
+
+document.getElementById('login-btn').addEventListener(
+    'click', () => authorize(getTabState()));
+
+document.getElementById('local-btn').addEventListener('click', () => {
+    const localPlayback = new LocalAudioPlayback();
+    playback = localPlayback;
+    document.getElementById('device-picker').style.display = 'none';
+    setupLocalFiles(localPlayback);
+    startPage();
+});
+
+onModelCached(showOfflineModels);
+registerServiceWorker();
+showOfflineModels();
+startSpotify();
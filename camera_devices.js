@@ -0,0 +1,171 @@
+/**
+ * The inputs the app can detect poses in: the cameras, which can be listed
+ * and opened at a chosen resolution, and local video and image files. Whether
+ * a camera's picture is mirrored is remembered per camera.
+ *
+ * Mirroring suits a camera facing the user, so moving your right hand moves
+ * the hand on the right of the screen; it is off by default for cameras
+ * facing away from the user.
+ */
+
+const mirrorStorageKey = 'posemusic_camera_mirror';
+
+/**
+ * Resolution presets, keyed by their GUI name, as [width, height].
+ */
+export const resolutionPresets = {
+  '889x500 (16:9)': [889, 500],
+  '640x360 (16:9)': [640, 360],
+  '1280x720 (16:9)': [1280, 720],
+  '640x480 (4:3)': [640, 480],
+  '960x720 (4:3)': [960, 720],
+  '480x480 (1:1)': [480, 480],
+};
+
+/**
+ * Resolves to the video input devices as [{deviceId, label}]. Labels are
+ * only filled in once the user has given camera permission.
+ */
+export async function listCameras() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+    return [];
+  }
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter((device) => device.kind === 'videoinput')
+      .map((device, i) => ({
+        deviceId: device.deviceId,
+        label: device.label || `Camera ${i + 1}`,
+      }));
+}
+
+/**
+ * Opens a camera and plays it in the video element, stopping whatever stream
+ * the element had. If the camera can't be opened the old stream keeps
+ * playing. Resolves to the video element once its size is known.
+ *
+ * @param options.deviceId the camera to open; the front camera if empty
+ * @param options.width, options.height the size to ask the camera for, or
+ *     undefined to let it choose
+ */
+export async function openCamera(video, {deviceId, width, height}) {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    throw new Error(
+        'Browser API navigator.mediaDevices.getUserMedia not available');
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    'audio': false,
+    'video': deviceId ? {deviceId: {exact: deviceId}, width, height} :
+                        {facingMode: 'user', width, height},
+  });
+  // only let go of the old camera once the new one has opened
+  stopCamera(video);
+  releaseFile(video);
+  video.srcObject = stream;
+
+  await new Promise((resolve) => {
+    video.onloadedmetadata = resolve;
+  });
+  video.play();
+  return video;
+}
+
+/**
+ * Stops the camera stream playing in the video element, if any.
+ */
+export function stopCamera(video) {
+  if (video.srcObject) {
+    video.srcObject.getTracks().forEach((track) => track.stop());
+    video.srcObject = null;
+  }
+}
+
+/**
+ * Lets go of the file an element is showing, if any.
+ */
+function releaseFile(element) {
+  if (element.src.startsWith('blob:')) {
+    URL.revokeObjectURL(element.src);
+  }
+  element.removeAttribute('src');
+  element.loop = false;
+}
+
+function loadFile(element, file, loadEvent) {
+  releaseFile(element);
+  return new Promise((resolve, reject) => {
+    element.addEventListener(loadEvent, () => resolve(element), {once: true});
+    element.addEventListener('error', () => {
+      reject(new Error(`The browser can't open ${file.name}`));
+    }, {once: true});
+    element.src = URL.createObjectURL(file);
+  });
+}
+
+/**
+ * Plays a local video file in the video element instead of the camera.
+ * Resolves to the video element once its size is known.
+ *
+ * @param loop whether to start again at the end, or stop on the last frame
+ */
+export async function openVideoFile(video, file, loop) {
+  stopCamera(video);
+  await loadFile(video, file, 'loadedmetadata');
+  video.loop = loop;
+  video.play();
+  return video;
+}
+
+/**
+ * Loads a local image file into the image element. Resolves to the image
+ * element once it has loaded.
+ */
+export function openImageFile(image, file) {
+  return loadFile(image, file, 'load');
+}
+
+/**
+ * Scales width x height down (or up) to fit within maxWidth x maxHeight,
+ * keeping its aspect ratio. Returns [width, height] in whole pixels.
+ */
+export function fitSize(width, height, maxWidth, maxHeight) {
+  const scale = Math.min(maxWidth / width, maxHeight / height);
+  return [Math.round(width * scale), Math.round(height * scale)];
+}
+
+/**
+ * Returns the id and facing mode of the camera playing in the video element.
+ */
+export function currentCamera(video) {
+  const track = video.srcObject && video.srcObject.getVideoTracks()[0];
+  const settings = track && track.getSettings ? track.getSettings() : {};
+  return {deviceId: settings.deviceId || '', facingMode: settings.facingMode};
+}
+
+function loadMirrorSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(mirrorStorageKey) || '{}');
+  } catch (e) {
+    console.error('Ignoring invalid saved mirror settings:', e.message);
+    return {};
+  }
+}
+
+/**
+ * Whether the camera's picture should be mirrored: the saved setting if
+ * there is one, otherwise mirrored unless the camera faces away from the
+ * user.
+ */
+export function loadMirrorSetting(deviceId, facingMode) {
+  const settings = loadMirrorSettings();
+  if (deviceId in settings) {
+    return settings[deviceId];
+  }
+  return facingMode !== 'environment';
+}
+
+export function saveMirrorSetting(deviceId, mirror) {
+  const settings = loadMirrorSettings();
+  settings[deviceId] = mirror;
+  localStorage.setItem(mirrorStorageKey, JSON.stringify(settings));
+}
@@ -0,0 +1,152 @@
+/**
+ * Decides whose pose controls the music when several people are in frame.
+ *
+ * Policies:
+ *   'largest'        the person with the biggest bounding box, usually the
+ *                    one closest to the camera
+ *   'most confident' the person posenet is most sure about
+ *   'majority vote'  the gesture most people are doing
+ *   'DJ'             whoever last made the DJ claim gesture (wrists crossed
+ *                    above the head) keeps control until they leave
+ *
+ * The DJ is followed from frame to frame by the pose id PoseTracker assigns.
+ */
+import * as posenet from '@tensorflow-models/posenet';
+
+import {matchesGesture} from './gesture_rules';
+
+export const controlPolicies =
+    ['largest', 'most confident', 'majority vote', 'DJ'];
+
+// the DJ claim, in the same format as the definitions in gestures.json
+export const djClaimGesture = {
+  name: 'DJ',
+  requiredParts: [
+    'leftWrist', 'rightWrist', 'leftShoulder', 'rightShoulder', 'nose',
+  ],
+  rule: {
+    all: [
+      {part: 'leftWrist', is: 'above', of: 'head'},
+      {part: 'rightWrist', is: 'above', of: 'head'},
+      {
+        // wrists crossed, whichever way round the camera shows the shoulders
+        any: [
+          {all: [
+            {part: 'leftShoulder', is: 'leftOf', of: 'rightShoulder'},
+            {part: 'leftWrist', is: 'rightOf', of: 'rightWrist'},
+          ]},
+          {all: [
+            {part: 'leftShoulder', is: 'rightOf', of: 'rightShoulder'},
+            {part: 'leftWrist', is: 'leftOf', of: 'rightWrist'},
+          ]},
+        ],
+      },
+    ],
+  },
+};
+
+// frames the DJ can be missing before control is released
+const djMaxMissedFrames = 30;
+
+function boxArea({minX, minY, maxX, maxY}) {
+  return (maxX - minX) * (maxY - minY);
+}
+
+function maxBy(items, value) {
+  return items.reduce(
+      (best, item) => best === null || value(item) > value(best) ? item : best,
+      null);
+}
+
+export class ControlPolicy {
+  constructor() {
+    this.dj = null;
+  }
+
+  /**
+   * Picks the gesture that controls the music on this frame.
+   *
+   * @param candidates one {pose, gesture: {label, confidence}} per person
+   *     above the pose confidence threshold
+   * @param policy one of controlPolicies
+   * @return {gesture, controllers}: the winning gesture label (or null) and
+   *     the candidates it came from
+   */
+  choose(candidates, policy, minPartConfidence) {
+    candidates.forEach((candidate) => {
+      candidate.box = posenet.getBoundingBox(candidate.pose.keypoints);
+    });
+
+    switch (policy) {
+      case 'most confident':
+        return this.single(maxBy(candidates, (c) => c.pose.score));
+      case 'majority vote':
+        return this.majority(candidates);
+      case 'DJ':
+        return this.single(this.findDj(candidates, minPartConfidence));
+      default:
+        return this.single(maxBy(candidates, (c) => boxArea(c.box)));
+    }
+  }
+
+  single(candidate) {
+    if (candidate === null) {
+      return {gesture: null, controllers: []};
+    }
+    return {gesture: candidate.gesture.label, controllers: [candidate]};
+  }
+
+  majority(candidates) {
+    const votes = {};
+    candidates.filter((c) => c.gesture.label !== null).forEach((c) => {
+      const tally = votes[c.gesture.label] ||
+          (votes[c.gesture.label] = {count: 0, confidence: 0, voters: []});
+      tally.count++;
+      tally.confidence += c.gesture.confidence;
+      tally.voters.push(c);
+    });
+
+    // ties go to the gesture with the higher total confidence
+    const winner = maxBy(
+        Object.keys(votes),
+        (label) => votes[label].count * 1000 + votes[label].confidence);
+    if (winner === null) {
+      return {gesture: null, controllers: []};
+    }
+    return {gesture: winner, controllers: votes[winner].voters};
+  }
+
+  /**
+   * Returns the DJ's candidate, handing control to anyone making the claim
+   * gesture.
+   */
+  findDj(candidates, minPartConfidence) {
+    const claimant = maxBy(
+        candidates.filter((c) => matchesGesture(
+                              djClaimGesture, c.pose.keypoints,
+                              minPartConfidence)),
+        (c) => boxArea(c.box));
+    if (claimant !== null) {
+      this.dj = {id: claimant.pose.id, missedFrames: 0};
+      // the claim itself isn't a song gesture
+      return Object.assign(
+          {}, claimant, {gesture: {label: null, confidence: 0}});
+    }
+
+    if (this.dj === null) {
+      return null;
+    }
+
+    const dj = this.dj;
+    const current = candidates.find((c) => c.pose.id === dj.id);
+    if (current) {
+      dj.missedFrames = 0;
+      return current;
+    }
+
+    if (++dj.missedFrames > djMaxMissedFrames) {
+      this.dj = null;
+    }
+    return null;
+  }
+}
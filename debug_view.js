@@ -0,0 +1,244 @@
+/**
+ * Debug view for working out why a pose doesn't trigger: the raw heatmaps
+ * and offset vectors the model outputs, every keypoint labelled with its part
+ * name and score, and which clauses of each gesture's rule pass on the
+ * current frame.
+ */
+import * as tf from '@tensorflow/tfjs';
+
+import {drawHeatMapValues, drawOffsetVectors, drawPoint,
+  renderToCanvas} from './demo_util';
+import {isAllConfidentParts, matchesGesture,
+  ruleClauses} from './gesture_rules';
+import {failColor, passColor} from './pose_guide';
+
+const labelColor = 'white';
+const lowConfidenceColor = 'grey';
+const heatmapOpacity = 0.5;
+
+/**
+ * The padding posenet adds around a width x height picture to give it the
+ * aspect ratio of the model input, as {top, bottom, left, right}.
+ */
+function inputPadding(width, height, [targetHeight, targetWidth]) {
+  const targetAspect = targetWidth / targetHeight;
+  if (width / height < targetAspect) {
+    const padX = Math.round(0.5 * (targetAspect * height - width));
+    return {top: 0, bottom: 0, left: padX, right: padX};
+  }
+  const padY = Math.round(0.5 * (width / targetAspect - height));
+  return {top: padY, bottom: padY, left: 0, right: 0};
+}
+
+/**
+ * The [y, x] heatmap cell with the highest score for each part, like
+ * posenet's single pose decoding.
+ */
+function argmax2d(heatmapScores) {
+  const [height, width, depth] = heatmapScores.shape;
+  const coords = heatmapScores.reshape([height * width, depth]).argMax(0);
+  const yCoords = coords.div(tf.scalar(width, 'int32'));
+  const xCoords = coords.sub(yCoords.mul(tf.scalar(width, 'int32')));
+  return tf.stack([yCoords, xCoords], 1);
+}
+
+/**
+ * Colours the highest part score of each heatmap cell from black through red
+ * to yellow, as [height, width, 3] pixels.
+ */
+function heatmapPixels(heatmapScores) {
+  const score = heatmapScores.max(2);
+  return tf.stack([score, score.square(), tf.zerosLike(score)], 2)
+      .mul(tf.scalar(255));
+}
+
+/**
+ * Runs the model once more on each frame to keep its raw outputs, which
+ * estimatePoses decodes and throws away.
+ */
+export class ModelDebugView {
+  constructor() {
+    this.heatmapCanvas = document.createElement('canvas');
+    this.outputs = null;
+  }
+
+  /**
+   * Runs net on the picture in input (a video or image element) and keeps
+   * its outputs for draw.
+   */
+  async update(net, input, width, height) {
+    this.dispose();
+    const inputResolution = net.inputResolution;
+    const padding = inputPadding(width, height, inputResolution);
+    const outputs = tf.tidy(() => {
+      const resized = tf.browser.fromPixels(input)
+          .pad([
+            [padding.top, padding.bottom],
+            [padding.left, padding.right],
+            [0, 0],
+          ])
+          .resizeBilinear(inputResolution);
+      const {heatmapScores, offsets} = net.baseModel.predict(resized);
+      return {
+        heatMapValues: argmax2d(heatmapScores),
+        offsets,
+        pixels: heatmapPixels(heatmapScores),
+      };
+    });
+
+    const [heatmapHeight, heatmapWidth] = outputs.pixels.shape;
+    this.heatmapCanvas.width = heatmapWidth;
+    this.heatmapCanvas.height = heatmapHeight;
+    await renderToCanvas(outputs.pixels, this.heatmapCanvas.getContext('2d'));
+    outputs.pixels.dispose();
+
+    this.outputs = {
+      heatMapValues: outputs.heatMapValues,
+      offsets: outputs.offsets,
+      outputStride: net.baseModel.outputStride,
+      inputResolution,
+      padding,
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Draws the kept outputs in the coordinates of the picture they were taken
+   * from.
+   *
+   * @param flipHorizontal whether the picture is drawn mirrored
+   * @param show which outputs to draw: {heatmaps, offsets}
+   */
+  draw(ctx, flipHorizontal, show) {
+    if (!this.outputs) {
+      return;
+    }
+    const {heatMapValues, offsets, outputStride, inputResolution, padding} =
+        this.outputs;
+    const {width, height} = this.outputs;
+    const [inputHeight, inputWidth] = inputResolution;
+
+    ctx.save();
+    // from model input coordinates to picture coordinates, undoing the
+    // padding and resizing done before the model ran
+    if (flipHorizontal) {
+      ctx.translate(width, 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.translate(-padding.left, -padding.top);
+    ctx.scale(
+        (width + padding.left + padding.right) / inputWidth,
+        (height + padding.top + padding.bottom) / inputHeight);
+
+    if (show.heatmaps) {
+      ctx.globalAlpha = heatmapOpacity;
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(this.heatmapCanvas, 0, 0, inputWidth, inputHeight);
+      ctx.globalAlpha = 1;
+      tf.tidy(() => drawHeatMapValues(heatMapValues, outputStride, ctx.canvas));
+    }
+    if (show.offsets) {
+      tf.tidy(() => {
+        drawOffsetVectors(heatMapValues, offsets, outputStride, 1, ctx);
+      });
+    }
+    ctx.restore();
+  }
+
+  dispose() {
+    if (this.outputs) {
+      this.outputs.heatMapValues.dispose();
+      this.outputs.offsets.dispose();
+      this.outputs = null;
+    }
+  }
+}
+
+/**
+ * Marks every keypoint of a pose with its part name and score, greying out
+ * the parts below minPartConfidence.
+ */
+export function drawPartLabels(ctx, keypoints, minPartConfidence) {
+  ctx.font = '11px sans-serif';
+  keypoints.forEach(({part, score, position}) => {
+    const color =
+        score >= minPartConfidence ? labelColor : lowConfidenceColor;
+    drawPoint(ctx, position.y, position.x, 3, color);
+    ctx.fillStyle = color;
+    ctx.fillText(
+        `${part} ${score.toFixed(2)}`, position.x + 5, position.y - 5);
+  });
+}
+
+function clauseText({part, is, of, by, within}) {
+  const distance = is === 'levelWith' ? within : by;
+  const text = `${part} ${is} ${of}`;
+  return distance ? `${text} ${is === 'levelWith' ? 'within' : 'by'} ` +
+      `${distance} shoulder widths` : text;
+}
+
+/**
+ * Reports, for each gesture, whether the keypoints match it, which of its
+ * required parts are below minPartConfidence, and which of its rule clauses
+ * pass: {name, matched, missingParts, clauses: [{text, passed}]}.
+ */
+export function explainGestures(gestures, keypoints, minPartConfidence) {
+  return gestures.map((gesture) => ({
+    name: gesture.name,
+    matched: matchesGesture(gesture, keypoints, minPartConfidence),
+    missingParts: (gesture.requiredParts || [])
+        .filter((part) => !isAllConfidentParts(
+            keypoints, [part], minPartConfidence)),
+    clauses: ruleClauses(gesture.rule, keypoints, minPartConfidence)
+        .map(({clause, passed}) => ({
+          text: clauseText(clause),
+          passed,
+        })),
+  }));
+}
+
+function addLine(parent, text, color) {
+  const line = document.createElement('div');
+  line.textContent = text;
+  if (color) {
+    line.style.color = color;
+  }
+  parent.appendChild(line);
+}
+
+/**
+ * Lists the explainGestures reports in the #debug-panel element, or that
+ * nobody is in control if reports is null.
+ */
+export function showGestureClauses(panel, reports) {
+  const content = JSON.stringify(reports);
+  // the list is the same from one frame to the next most of the time
+  if (panel.dataset.content === content) {
+    return;
+  }
+  panel.dataset.content = content;
+  panel.innerHTML = '';
+
+  if (!reports) {
+    addLine(panel, 'Nobody is in control');
+    return;
+  }
+  reports.forEach((report) => {
+    const section = document.createElement('div');
+    section.className = 'debug-gesture';
+    addLine(
+        section, `${report.name}: ${report.matched ? 'matched' : 'no match'}`,
+        report.matched ? passColor : null);
+    if (report.missingParts.length > 0) {
+      addLine(
+          section, `✗ below confidence: ${report.missingParts.join(', ')}`,
+          failColor);
+    }
+    report.clauses.forEach(({text, passed}) => {
+      addLine(section, `${passed ? '✓' : '✗'} ${text}`,
+              passed ? passColor : failColor);
+    });
+    panel.appendChild(section);
+  });
+}
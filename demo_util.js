@@ -71,6 +71,17 @@ export function toggleLoadingUI(
   }
 }
 
+/**
+ * Offers text to the user as a file download.
+ */
+export function downloadFile(filename, text, type) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([text], {type}));
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
 function toTuple({y, x}) {
   return [y, x];
 }
@@ -97,21 +108,23 @@ export function drawSegment([ay, ax], [by, bx], color, scale, ctx) {
 /**
  * Draws a pose skeleton by looking up all adjacent keypoints/joints
  */
-export function drawSkeleton(keypoints, minConfidence, ctx, scale = 1) {
+export function drawSkeleton(
+    keypoints, minConfidence, ctx, scale = 1, strokeColor = color) {
   const adjacentKeyPoints =
       posenet.getAdjacentKeyPoints(keypoints, minConfidence);
 
   adjacentKeyPoints.forEach((keypoints) => {
     drawSegment(
-        toTuple(keypoints[0].position), toTuple(keypoints[1].position), color,
-        scale, ctx);
+        toTuple(keypoints[0].position), toTuple(keypoints[1].position),
+        strokeColor, scale, ctx);
   });
 }
 
 /**
  * Draw pose keypoints onto a canvas
  */
-export function drawKeypoints(keypoints, minConfidence, ctx, scale = 1) {
+export function drawKeypoints(
+    keypoints, minConfidence, ctx, scale = 1, fillColor = color) {
   for (let i = 0; i < keypoints.length; i++) {
     const keypoint = keypoints[i];
 
@@ -120,7 +133,7 @@ export function drawKeypoints(keypoints, minConfidence, ctx, scale = 1) {
     }
 
     const {y, x} = keypoint.position;
-    drawPoint(ctx, y * scale, x * scale, 3, color);
+    drawPoint(ctx, y * scale, x * scale, 3, fillColor);
   }
 }
 
@@ -129,14 +142,16 @@ export function drawKeypoints(keypoints, minConfidence, ctx, scale = 1) {
  * in an image, the bounding box will begin at the nose and extend to one of
  * ankles
  */
-export function drawBoundingBox(keypoints, ctx) {
+export function drawBoundingBox(
+    keypoints, ctx, strokeColor = boundingBoxColor) {
   const boundingBox = posenet.getBoundingBox(keypoints);
 
+  ctx.beginPath();
   ctx.rect(
       boundingBox.minX, boundingBox.minY, boundingBox.maxX - boundingBox.minX,
       boundingBox.maxY - boundingBox.minY);
 
-  ctx.strokeStyle = boundingBoxColor;
+  ctx.strokeStyle = strokeColor;
   ctx.stroke();
 }
 
@@ -206,6 +221,26 @@ function drawPoints(ctx, points, radius, color) {
   }
 }
 
+/**
+ * Moves each keypoint's heatmap cell by its offset vector, giving the
+ * keypoint positions in the model input as a [numKeypoints, 2] tensor of
+ * [y, x].
+ */
+function getOffsetPoints(heatMapValues, outputStride, offsets) {
+  const numKeypoints = heatMapValues.shape[0];
+  const heatmap = heatMapValues.buffer();
+  const offsetsBuffer = offsets.buffer();
+  const points = [];
+  for (let keypoint = 0; keypoint < numKeypoints; keypoint++) {
+    const y = heatmap.get(keypoint, 0);
+    const x = heatmap.get(keypoint, 1);
+    points.push(
+        y * outputStride + offsetsBuffer.get(y, x, keypoint),
+        x * outputStride + offsetsBuffer.get(y, x, keypoint + numKeypoints));
+  }
+  return tf.tensor2d(points, [numKeypoints, 2]);
+}
+
 /**
  * Draw offset vector values, one of the model outputs, on to the canvas
  * Read our blog post for a description of PoseNet's offset vector outputs
@@ -213,8 +248,7 @@ function drawPoints(ctx, points, radius, color) {
  */
 export function drawOffsetVectors(
     heatMapValues, offsets, outputStride, scale = 1, ctx) {
-  const offsetPoints =
-      posenet.singlePose.getOffsetPoints(heatMapValues, outputStride, offsets);
+  const offsetPoints = getOffsetPoints(heatMapValues, outputStride, offsets);
 
   const heatmapData = heatMapValues.buffer().values;
   const offsetPointsData = offsetPoints.buffer().values;
@@ -0,0 +1,201 @@
+/**
+ * The Spotify device picker: keeps the #devices select in sync with the
+ * user's Spotify Connect devices, remembers the chosen device between visits,
+ * transfers playback to it, and can register the browser itself as a device
+ * through the Spotify Web Playback SDK.
+ */
+import {showStatus} from './status_banner';
+
+const storageKey = 'posemusic_spotify_device';
+const sdkUrl = 'https://sdk.scdn.co/spotify-player.js';
+const browserDeviceName = 'Pose Music (this browser)';
+
+let sdkPromise = null;
+
+function loadPlaybackSdk() {
+  if (!sdkPromise) {
+    sdkPromise = new Promise((resolve, reject) => {
+      window.onSpotifyWebPlaybackSDKReady = () => resolve(window.Spotify);
+      const script = document.createElement('script');
+      script.src = sdkUrl;
+      script.onerror = () => {
+        sdkPromise = null;
+        reject(new Error('Could not load the Spotify Web Playback SDK'));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return sdkPromise;
+}
+
+export class DevicePicker {
+  /**
+   * @param spotifyApi an authorised SpotifyWebApi instance
+   * @param callSpotify a caller from createSpotifyCaller
+   * @param getAccessToken resolves to a current access token, used by the
+   *     Web Playback SDK
+   */
+  constructor(spotifyApi, callSpotify, getAccessToken) {
+    this.spotifyApi = spotifyApi;
+    this.call = callSpotify;
+    this.getAccessToken = getAccessToken;
+    this.select = document.getElementById('devices');
+    this.preferredDevice = localStorage.getItem(storageKey);
+    this.browserPlayer = null;
+    this.browserDeviceId = null;
+    this.refreshTimer = null;
+
+    this.select.addEventListener('change', () => {
+      this.preferredDevice = this.select.value;
+      localStorage.setItem(storageKey, this.select.value);
+    });
+    document.getElementById('devices-refresh')
+        .addEventListener('click', () => this.refresh());
+    document.getElementById('devices-transfer')
+        .addEventListener('click', () => this.transferPlayback());
+    const browserDevice = document.getElementById('browser-device');
+    browserDevice.addEventListener('change', () => {
+      if (browserDevice.checked) {
+        this.connectBrowserDevice();
+      } else {
+        this.disconnectBrowserDevice();
+      }
+    });
+  }
+
+  /**
+   * Returns the id of the selected device, or null if there is none.
+   */
+  selectedDevice() {
+    return this.select.selectedIndex >= 0 ? this.select.value : null;
+  }
+
+  /**
+   * Fetches the device list and fills the select, keeping the current
+   * choice if the device is still there, falling back to the remembered one.
+   */
+  async refresh() {
+    let response;
+    try {
+      response = await this.call(
+          'list devices', () => this.spotifyApi.getMyDevices());
+    } catch (ex) {
+      console.error(ex);
+      showStatus(ex.userMessage || ex.message);
+      return;
+    }
+
+    const devices = response.devices.slice();
+    // the SDK device can take a moment to show up in the Web API list
+    if (this.browserDeviceId &&
+        !devices.some((device) => device.id === this.browserDeviceId)) {
+      devices.push({id: this.browserDeviceId, name: browserDeviceName});
+    }
+
+    const current = this.selectedDevice() || this.preferredDevice;
+    this.select.innerHTML = '';
+    devices.forEach((device) => {
+      const option = document.createElement('option');
+      option.value = device.id;
+      option.text = device.is_active ? `${device.name} (active)` : device.name;
+      this.select.appendChild(option);
+    });
+    if (devices.some((device) => device.id === current)) {
+      this.select.value = current;
+    } else if (devices.some((device) => device.id === this.preferredDevice)) {
+      this.select.value = this.preferredDevice;
+    }
+  }
+
+  /**
+   * Refreshes the device list every intervalMs while the page is visible.
+   */
+  startAutoRefresh(intervalMs) {
+    clearInterval(this.refreshTimer);
+    this.refresh();
+    this.refreshTimer = setInterval(() => {
+      if (!document.hidden) {
+        this.refresh();
+      }
+    }, intervalMs);
+  }
+
+  /**
+   * Moves whatever is playing to the selected device.
+   */
+  async transferPlayback() {
+    const deviceId = this.selectedDevice();
+    if (!deviceId) {
+      return;
+    }
+    try {
+      await this.call(
+          'transfer playback',
+          () => this.spotifyApi.transferMyPlayback([deviceId], {play: true}));
+      localStorage.setItem(storageKey, deviceId);
+      this.preferredDevice = deviceId;
+    } catch (ex) {
+      console.error(ex);
+      showStatus(ex.userMessage || ex.message);
+    }
+  }
+
+  /**
+   * Registers this browser as a Spotify Connect device and selects it once
+   * it is ready.
+   */
+  async connectBrowserDevice() {
+    if (this.browserPlayer) {
+      return;
+    }
+
+    let Spotify;
+    try {
+      Spotify = await loadPlaybackSdk();
+    } catch (ex) {
+      showStatus(ex.message);
+      return;
+    }
+
+    const player = new Spotify.Player({
+      name: browserDeviceName,
+      getOAuthToken: (callback) => this.getAccessToken().then(callback),
+    });
+    player.addListener('ready', ({device_id: deviceId}) => {
+      this.browserDeviceId = deviceId;
+      this.preferredDevice = deviceId;
+      this.select.selectedIndex = -1;
+      this.refresh();
+    });
+    player.addListener('not_ready', () => {
+      this.browserDeviceId = null;
+      this.refresh();
+    });
+    player.addListener('initialization_error', ({message}) => {
+      showStatus(`This browser can't play Spotify: ${message}`);
+    });
+    player.addListener('authentication_error', () => {
+      showStatus('Log in again to play Spotify in this browser.');
+    });
+    player.addListener('account_error', () => {
+      showStatus('Spotify Premium is required to play in this browser.');
+    });
+
+    this.browserPlayer = player;
+    // browsers only allow audio to start after a user gesture
+    if (player.activateElement) {
+      player.activateElement();
+    }
+    player.connect();
+  }
+
+  disconnectBrowserDevice() {
+    if (!this.browserPlayer) {
+      return;
+    }
+    this.browserPlayer.disconnect();
+    this.browserPlayer = null;
+    this.browserDeviceId = null;
+    this.refresh();
+  }
+}
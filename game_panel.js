@@ -0,0 +1,108 @@
+/**
+ * Panel for the "Pose Says" game: player names, the one or two player
+ * switch, start and stop, and the leaderboard.
+ */
+import {addScore, clearLeaderboard, loadLeaderboard} from './leaderboard';
+
+/**
+ * Wires up the #game panel in index.html.
+ *
+ * @param options.onStart called with the player names when start is clicked;
+ *     returns false if the game couldn't start
+ * @param options.onStop called when stop is clicked
+ * @return {setRunning, showMessage, recordScores} for the camera loop to
+ *     report back to the panel
+ */
+export function setupGamePanel({onStart, onStop}) {
+  const panel = document.getElementById('game');
+  const player1 = document.getElementById('game-player1');
+  const player2 = document.getElementById('game-player2');
+  const twoPlayers = document.getElementById('game-two-players');
+  const startButton = document.getElementById('game-start');
+  const stopButton = document.getElementById('game-stop');
+  const message = document.getElementById('game-message');
+  const leaderboard = document.getElementById('game-leaderboard');
+
+  function showMessage(text) {
+    message.textContent = text;
+  }
+
+  function showLeaderboard(entries, highlight = -1) {
+    leaderboard.innerHTML = '';
+    entries.forEach((entry, i) => {
+      const item = document.createElement('li');
+      item.textContent = `${entry.name}: ${entry.score}`;
+      if (i === highlight) {
+        item.className = 'game-new-score';
+      }
+      leaderboard.appendChild(item);
+    });
+  }
+
+  function setRunning(running) {
+    startButton.disabled = running;
+    stopButton.disabled = !running;
+    player1.disabled = player2.disabled = twoPlayers.disabled = running;
+  }
+
+  /**
+   * Adds the final scores to the leaderboard and announces the winner.
+   *
+   * @param players the {name, score} of each player
+   */
+  function recordScores(players) {
+    let result;
+    players.forEach((player) => {
+      result = addScore(player.name, player.score);
+    });
+    showLeaderboard(result.entries, players.length === 1 ? result.rank : -1);
+
+    if (players.length === 1) {
+      showMessage(`Game over! ${players[0].name} scored ${players[0].score}`);
+    } else if (players[0].score === players[1].score) {
+      showMessage(`Game over! It's a draw at ${players[0].score}`);
+    } else {
+      const winner = players[0].score > players[1].score ?
+          players[0] : players[1];
+      showMessage(`Game over! ${winner.name} wins with ${winner.score}`);
+    }
+    setRunning(false);
+  }
+
+  document.getElementById('game-btn').addEventListener('click', () => {
+    const hidden = panel.style.display === 'none';
+    panel.style.display = hidden ? 'block' : 'none';
+    if (hidden) {
+      showLeaderboard(loadLeaderboard());
+    }
+  });
+
+  twoPlayers.addEventListener('change', () => {
+    document.getElementById('game-player2-label').style.display =
+        twoPlayers.checked ? 'inline' : 'none';
+  });
+
+  startButton.addEventListener('click', () => {
+    const names = [player1.value.trim() || 'Player 1'];
+    if (twoPlayers.checked) {
+      names.push(player2.value.trim() || 'Player 2');
+    }
+    if (onStart(names) !== false) {
+      showMessage('');
+      setRunning(true);
+    }
+  });
+
+  stopButton.addEventListener('click', () => {
+    onStop();
+    showMessage('Game stopped');
+    setRunning(false);
+  });
+
+  document.getElementById('game-clear').addEventListener('click', () => {
+    clearLeaderboard();
+    showLeaderboard([]);
+  });
+
+  return {setRunning, showMessage, recordScores};
+}
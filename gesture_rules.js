@@ -0,0 +1,217 @@
+/**
+ * Evaluates the declarative gesture definitions in gestures.json against the
+ * keypoints of a single posenet pose.
+ *
+ * A gesture definition looks like:
+ *
+ *   {
+ *     "name": "Thriller",
+ *     "requiredParts": ["leftWrist", "leftElbow", "rightWrist", "rightElbow"],
+ *     "rule": {"all": [
+ *       {"part": "leftWrist", "is": "above", "of": "leftElbow"},
+ *       {"any": [...]}
+ *     ]}
+ *   }
+ *
+ * Every part in `requiredParts` must be detected above the minimum part
+ * confidence before the rule is looked at. A rule is either a relation
+ * between two points, or an `all` (AND) / `any` (OR) group of rules. Points
+ * are posenet part names, or `head` for the centre of the confident head
+ * parts.
+ *
+ * A relation can give a distance in shoulder widths: `by` for how far past
+ * the other point the part has to be, e.g.
+ * {"part": "leftElbow", "is": "leftOf", "of": "leftWrist", "by": 0.25}, and
+ * `within` for how far apart the two may be for `levelWith`. Relations with a
+ * distance fail while the shoulders are too close together to measure by.
+ */
+
+const headParts = ['nose', 'leftEye', 'rightEye', 'leftEar', 'rightEar'];
+
+// shoulders closer together than this, in pixels, are too narrow to measure
+// by, e.g. when the person stands side-on to the camera
+const minShoulderWidth = 10;
+
+// Image coordinates: y grows downwards, x grows to the right of the canvas.
+// margin is the distance the relation asks for, in pixels.
+const relations = {
+  above: (a, b, margin) => a.y < b.y - margin,
+  below: (a, b, margin) => a.y > b.y + margin,
+  leftOf: (a, b, margin) => a.x < b.x - margin,
+  rightOf: (a, b, margin) => a.x > b.x + margin,
+  levelWith: (a, b, margin) => Math.abs(a.y - b.y) <= margin,
+};
+
+/**
+ * The keypoint of the named part, or undefined if the pose doesn't have it.
+ */
+export function findKeypoint(keypoints, partName) {
+  return keypoints.find((kp) => kp.part === partName);
+}
+
+/**
+ * The distance between the shoulders, or null if it is too small to divide
+ * by.
+ */
+export function shoulderWidth(leftShoulder, rightShoulder) {
+  const width = Math.hypot(
+      leftShoulder.x - rightShoulder.x, leftShoulder.y - rightShoulder.y);
+  return width >= minShoulderWidth ? width : null;
+}
+
+function headCenter(keypoints, minPartConfidence) {
+  const confident = headParts
+      .map((partName) => findKeypoint(keypoints, partName))
+      .filter((kp) => kp && kp.score > minPartConfidence);
+  if (confident.length === 0) {
+    return null;
+  }
+
+  const sum = confident.reduce(
+      (acc, kp) => ({x: acc.x + kp.position.x, y: acc.y + kp.position.y}),
+      {x: 0, y: 0});
+  return {x: sum.x / confident.length, y: sum.y / confident.length};
+}
+
+/**
+ * Resolves a point name used in a rule to an {x, y} position, or null when
+ * the point can not be located.
+ */
+export function resolvePoint(keypoints, name, minPartConfidence) {
+  if (name === 'head') {
+    return headCenter(keypoints, minPartConfidence);
+  }
+  const keypoint = findKeypoint(keypoints, name);
+  return keypoint ? keypoint.position : null;
+}
+
+/**
+ * Returns true if every named part is detected above minPartConfidence.
+ */
+export function isAllConfidentParts(keypoints, partNames, minPartConfidence) {
+  return partNames.every((partName) => {
+    const keypoint = findKeypoint(keypoints, partName);
+    return keypoint !== undefined && keypoint.score > minPartConfidence;
+  });
+}
+
+/**
+ * Evaluates a rule (relation, `all` group or `any` group) against keypoints.
+ */
+export function evaluateRule(rule, keypoints, minPartConfidence) {
+  if (rule.all) {
+    return rule.all.every(
+        (child) => evaluateRule(child, keypoints, minPartConfidence));
+  }
+  if (rule.any) {
+    return rule.any.some(
+        (child) => evaluateRule(child, keypoints, minPartConfidence));
+  }
+
+  const compare = relations[rule.is];
+  if (!compare) {
+    throw new Error(`Unknown gesture relation '${rule.is}'`);
+  }
+  const a = resolvePoint(keypoints, rule.part, minPartConfidence);
+  const b = resolvePoint(keypoints, rule.of, minPartConfidence);
+  if (!a || !b) {
+    return false;
+  }
+  const distance = rule.is === 'levelWith' ? rule.within : rule.by;
+  if (!distance) {
+    return compare(a, b, 0);
+  }
+  const leftShoulder = findKeypoint(keypoints, 'leftShoulder');
+  const rightShoulder = findKeypoint(keypoints, 'rightShoulder');
+  const width = leftShoulder && rightShoulder &&
+      leftShoulder.score > minPartConfidence &&
+      rightShoulder.score > minPartConfidence ?
+      shoulderWidth(leftShoulder.position, rightShoulder.position) :
+      null;
+  return width !== null && compare(a, b, distance * width);
+}
+
+/**
+ * How much of a rule the keypoints satisfy, from 0 to 1: a relation is 0 or
+ * 1, an `all` group the mean of its rules and an `any` group its best rule.
+ */
+export function ruleProgress(rule, keypoints, minPartConfidence) {
+  if (rule.all) {
+    const total = rule.all.reduce(
+        (sum, child) => sum + ruleProgress(child, keypoints, minPartConfidence),
+        0);
+    return rule.all.length > 0 ? total / rule.all.length : 1;
+  }
+  if (rule.any) {
+    return rule.any.reduce(
+        (best, child) => Math.max(
+            best, ruleProgress(child, keypoints, minPartConfidence)),
+        0);
+  }
+  return evaluateRule(rule, keypoints, minPartConfidence) ? 1 : 0;
+}
+
+/**
+ * Lists the relations of a rule that decide whether it passes, each as
+ * {clause, passed}. Of an `any` group only the branch that passes, or failing
+ * that the branch closest to passing, is listed, so branches for the other
+ * way round the camera sees the person don't show up as failures.
+ */
+export function ruleClauses(rule, keypoints, minPartConfidence) {
+  if (rule.all) {
+    return [].concat(...rule.all.map(
+        (child) => ruleClauses(child, keypoints, minPartConfidence)));
+  }
+  if (rule.any) {
+    if (rule.any.length === 0) {
+      return [];
+    }
+    const progress = rule.any.map(
+        (child) => ruleProgress(child, keypoints, minPartConfidence));
+    const best = progress.indexOf(Math.max(...progress));
+    return ruleClauses(rule.any[best], keypoints, minPartConfidence);
+  }
+  return [{
+    clause: rule,
+    passed: evaluateRule(rule, keypoints, minPartConfidence),
+  }];
+}
+
+/**
+ * Reports how close the keypoints are to a gesture, for display:
+ * {name, matched, progress, visibleParts, requiredParts} where progress is
+ * the ruleProgress and visibleParts counts the required parts detected above
+ * minPartConfidence.
+ */
+export function scoreGesture(gesture, keypoints, minPartConfidence) {
+  const requiredParts = gesture.requiredParts || [];
+  const visibleParts = requiredParts.filter((partName) => isAllConfidentParts(
+      keypoints, [partName], minPartConfidence)).length;
+  return {
+    name: gesture.name,
+    matched: matchesGesture(gesture, keypoints, minPartConfidence),
+    progress: ruleProgress(gesture.rule, keypoints, minPartConfidence),
+    visibleParts,
+    requiredParts: requiredParts.length,
+  };
+}
+
+/**
+ * Returns true if the keypoints satisfy the gesture definition.
+ */
+export function matchesGesture(gesture, keypoints, minPartConfidence) {
+  return isAllConfidentParts(
+             keypoints, gesture.requiredParts || [], minPartConfidence) &&
+      evaluateRule(gesture.rule, keypoints, minPartConfidence);
+}
+
+/**
+ * Returns the name of the first gesture in the list that the keypoints
+ * satisfy, or null if none match. Earlier definitions win, so more specific
+ * gestures should be listed first.
+ */
+export function detectGesture(gestures, keypoints, minPartConfidence) {
+  const match = gestures.find(
+      (gesture) => matchesGesture(gesture, keypoints, minPartConfidence));
+  return match ? match.name : null;
+}
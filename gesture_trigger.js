@@ -0,0 +1,97 @@
+/**
+ * Debounces per-frame gesture detections into song switches.
+ *
+ * A gesture only fires after it has been seen continuously for the hold
+ * time (or hold frame count). Once fired it stays latched until it has been
+ * absent for the release time, so a different gesture can't fire while the
+ * previous one is still fading out. After every switch there is a cooldown
+ * during which nothing fires.
+ *
+ * The config object is read on every update, so it can be edited live from
+ * dat.gui:
+ *   holdMode: 'time' | 'frames'
+ *   holdTime: ms a gesture must be held before it fires (holdMode 'time')
+ *   holdFrames: frames a gesture must be held (holdMode 'frames')
+ *   releaseTime: ms the latched gesture must be gone before another can fire
+ *   cooldown: ms after a switch during which no gesture can fire
+ */
+export class GestureTrigger {
+  constructor(config) {
+    this.config = config;
+    this.reset();
+  }
+
+  reset() {
+    this.candidate = null;
+    this.candidateSince = 0;
+    this.candidateFrames = 0;
+    this.latched = null;
+    this.latchedMissingSince = null;
+    this.lastFiredAt = -Infinity;
+  }
+
+  /**
+   * Feeds the gesture detected on the current frame (or null) and returns the
+   * gesture that should fire now, or null.
+   */
+  update(gesture, now) {
+    if (this.latched !== null) {
+      if (gesture === this.latched) {
+        this.latchedMissingSince = null;
+        return null;
+      }
+      if (this.latchedMissingSince === null) {
+        this.latchedMissingSince = now;
+      }
+      if (now - this.latchedMissingSince < this.config.releaseTime) {
+        return null;
+      }
+      this.latched = null;
+      this.latchedMissingSince = null;
+    }
+
+    if (gesture !== this.candidate) {
+      this.candidate = gesture;
+      this.candidateSince = now;
+      this.candidateFrames = 0;
+    }
+    if (this.candidate === null) {
+      return null;
+    }
+    this.candidateFrames++;
+
+    if (!this.isHeld(now) ||
+        now - this.lastFiredAt < this.config.cooldown) {
+      return null;
+    }
+
+    const fired = this.candidate;
+    this.latched = fired;
+    this.lastFiredAt = now;
+    this.candidate = null;
+    this.candidateFrames = 0;
+    return fired;
+  }
+
+  /**
+   * Fraction (0 to 1) of the hold requirement the current candidate has met.
+   */
+  holdProgress(now) {
+    if (this.candidate === null) {
+      return 0;
+    }
+    if (this.config.holdMode === 'frames') {
+      return Math.min(
+          1, this.candidateFrames / Math.max(1, this.config.holdFrames));
+    }
+    return Math.min(
+        1, (now - this.candidateSince) / Math.max(1, this.config.holdTime));
+  }
+
+  isHeld(now) {
+    if (this.config.holdMode === 'frames') {
+      return this.candidateFrames >= this.config.holdFrames;
+    }
+    return now - this.candidateSince >= this.config.holdTime;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Checks when GestureTrigger turns per-frame detections into song switches:
+ * `npm test` from the repository root.
+ */
+import assert from 'assert';
+import {describe, it} from 'node:test';
+
+import {GestureTrigger} from './gesture_trigger.js';
+
+function trigger(config) {
+  return new GestureTrigger(Object.assign({
+    holdMode: 'time',
+    holdTime: 500,
+    holdFrames: 3,
+    releaseTime: 300,
+    cooldown: 0,
+  }, config));
+}
+
+/**
+ * Feeds [gesture, time] frames and returns what fired on each of them.
+ */
+function feed(gestureTrigger, frames) {
+  return frames.map(([gesture, now]) => gestureTrigger.update(gesture, now));
+}
+
+describe('GestureTrigger', () => {
+  it('fires once a gesture has been held for the hold time', () => {
+    assert.deepStrictEqual(
+        feed(trigger(), [['YMCA', 0], ['YMCA', 400], ['YMCA', 500]]),
+        [null, null, 'YMCA']);
+  });
+
+  it('starts the hold time again when the gesture drops out', () => {
+    assert.deepStrictEqual(
+        feed(trigger(), [
+          ['YMCA', 0], [null, 300], ['YMCA', 400], ['YMCA', 800],
+          ['YMCA', 900],
+        ]),
+        [null, null, null, null, 'YMCA']);
+  });
+
+  it('fires once a gesture has been held for the hold frame count', () => {
+    assert.deepStrictEqual(
+        feed(trigger({holdMode: 'frames'}),
+             [['YMCA', 0], ['YMCA', 1], ['YMCA', 2]]),
+        [null, null, 'YMCA']);
+  });
+
+  it('reports how much of the hold has been met', () => {
+    const gestureTrigger = trigger();
+    gestureTrigger.update('YMCA', 0);
+    assert.strictEqual(gestureTrigger.holdProgress(250), 0.5);
+    gestureTrigger.update(null, 250);
+    assert.strictEqual(gestureTrigger.holdProgress(300), 0);
+  });
+
+  it('fires a held gesture only once', () => {
+    assert.deepStrictEqual(
+        feed(trigger(), [['YMCA', 0], ['YMCA', 500], ['YMCA', 1500]]),
+        [null, 'YMCA', null]);
+  });
+
+  it('waits for the release time before another gesture can start', () => {
+    // YMCA is gone from 600, so Disco counts from 900 and fires at 1400
+    assert.deepStrictEqual(
+        feed(trigger(), [
+          ['YMCA', 0], ['YMCA', 500], ['Disco', 600], ['Disco', 899],
+          ['Disco', 900], ['Disco', 1399], ['Disco', 1400],
+        ]),
+        [null, 'YMCA', null, null, null, null, 'Disco']);
+  });
+
+  it('keeps a gesture latched while it flickers back in', () => {
+    // YMCA is back at 700, so its release starts again at 800
+    assert.deepStrictEqual(
+        feed(trigger({holdTime: 0}), [
+          ['YMCA', 500], [null, 600], ['YMCA', 700], [null, 800],
+          ['Disco', 1050], ['Disco', 1100],
+        ]),
+        ['YMCA', null, null, null, null, 'Disco']);
+  });
+
+  it('fires nothing during the cooldown after a switch', () => {
+    assert.deepStrictEqual(
+        feed(trigger({holdTime: 100, releaseTime: 0, cooldown: 2000}), [
+          ['YMCA', 0], ['YMCA', 100], ['Disco', 200], ['Disco', 300],
+          ['Disco', 2099], ['Disco', 2100],
+        ]),
+        [null, 'YMCA', null, null, null, 'Disco']);
+  });
+});
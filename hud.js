@@ -0,0 +1,182 @@
+/**
+ * Heads-up display drawn over the #output canvas: what the app thinks the
+ * controlling person is doing, and what is playing.
+ */
+
+const hudColor = 'white';
+const matchedColor = 'lime';
+const backgroundColor = 'rgba(0, 0, 0, 0.5)';
+
+const margin = 10;
+const lineHeight = 18;
+const albumArtSize = 64;
+const barWidth = 80;
+
+/**
+ * Keeps the now-playing state of a playback backend, polling it at most once
+ * per interval so the camera loop doesn't wait on the network.
+ */
+export class NowPlaying {
+  /**
+   * @param playback a backend from playback.js
+   * @param interval ms between two polls
+   */
+  constructor(playback, interval = 3000) {
+    this.playback = playback;
+    this.interval = interval;
+    this.state = null;
+    this.albumArt = null;
+    this.lastPollAt = -Infinity;
+    this.polling = false;
+  }
+
+  /**
+   * Starts a poll if the last one is older than the interval. Returns the
+   * latest known state.
+   */
+  update(now) {
+    if (!this.polling && now - this.lastPollAt >= this.interval) {
+      this.poll(now);
+    }
+    return this.state;
+  }
+
+  async poll(now) {
+    this.polling = true;
+    this.lastPollAt = now;
+    try {
+      this.state = await this.playback.getState();
+    } catch (ex) {
+      // playback errors are reported by whoever started the playback
+      console.error(ex);
+      this.state = null;
+    } finally {
+      this.polling = false;
+    }
+
+    const url = this.state && this.state.track.albumArtUrl;
+    if (!url) {
+      this.albumArt = null;
+    } else if (!this.albumArt || this.albumArt.src !== url) {
+      this.albumArt = new Image();
+      this.albumArt.src = url;
+    }
+  }
+}
+
+function drawPanel(ctx, x, y, width, height) {
+  ctx.fillStyle = backgroundColor;
+  ctx.fillRect(x, y, width, height);
+}
+
+/**
+ * Draws the playing track, with its album art, in the top left corner.
+ *
+ * @return the y coordinate below the drawing
+ */
+export function drawNowPlaying(ctx, nowPlaying) {
+  const state = nowPlaying.state;
+  if (!state) {
+    return margin;
+  }
+
+  const width = 300;
+  drawPanel(ctx, margin, margin, width, albumArtSize);
+  const art = nowPlaying.albumArt;
+  if (art && art.complete && art.naturalWidth > 0) {
+    ctx.drawImage(art, margin, margin, albumArtSize, albumArtSize);
+  }
+
+  const textX = margin + albumArtSize + 8;
+  const textWidth = width - albumArtSize - 16;
+  ctx.fillStyle = hudColor;
+  ctx.font = 'bold 14px sans-serif';
+  ctx.fillText(
+      `${state.isPlaying ? '▶' : '⏸'} ${state.track.name}`, textX,
+      margin + 22, textWidth);
+  ctx.font = '13px sans-serif';
+  ctx.fillText(state.track.artists, textX, margin + 44, textWidth);
+  return margin * 2 + albumArtSize;
+}
+
+function drawHoldRing(ctx, x, y, radius, progress) {
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = backgroundColor;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, 2 * Math.PI);
+  ctx.stroke();
+  if (progress > 0) {
+    // fills clockwise from 12 o'clock
+    ctx.strokeStyle = progress >= 1 ? matchedColor : hudColor;
+    ctx.beginPath();
+    ctx.arc(
+        x, y, radius, -Math.PI / 2, -Math.PI / 2 + 2 * Math.PI * progress);
+    ctx.stroke();
+  }
+}
+
+/**
+ * Draws what the classifier sees at y, below the now-playing panel.
+ *
+ * @param hud.gesture {label, confidence} of the controlling person, or null
+ *     if nobody is in control
+ * @param hud.holdProgress how far the gesture is through the hold time
+ * @param hud.reports one scoreGesture result per rule-based gesture
+ * @param show which parts to draw: {gesture, holdRing, ruleConfidence,
+ *     visibleParts}
+ */
+export function drawGestureHud(ctx, y, hud, show) {
+  const rows = show.ruleConfidence || show.visibleParts ?
+      hud.reports.length : 0;
+  const showHeader = show.gesture || show.holdRing;
+  const height = (showHeader ? 32 : 0) + rows * lineHeight +
+      (rows > 0 ? 6 : 0);
+  if (height === 0) {
+    return;
+  }
+
+  const width = 300;
+  drawPanel(ctx, margin, y, width, height);
+
+  let textY = y;
+  if (showHeader) {
+    let textX = margin + 8;
+    if (show.holdRing) {
+      drawHoldRing(ctx, margin + 18, y + 16, 10, hud.holdProgress);
+      textX = margin + 36;
+    }
+    if (show.gesture) {
+      const gesture = hud.gesture;
+      ctx.fillStyle = gesture && gesture.label ? matchedColor : hudColor;
+      ctx.font = 'bold 16px sans-serif';
+      ctx.fillText(
+          gesture && gesture.label ?
+              `${gesture.label} ${Math.round(gesture.confidence * 100)}%` :
+              'No gesture',
+          textX, y + 22);
+    }
+    textY += 32;
+  }
+
+  ctx.font = '12px sans-serif';
+  for (let i = 0; i < rows; i++) {
+    const report = hud.reports[i];
+    const rowY = textY + (i + 1) * lineHeight;
+    ctx.fillStyle = report.matched ? matchedColor : hudColor;
+    ctx.fillText(report.name, margin + 8, rowY, 90);
+    if (show.ruleConfidence) {
+      const barX = margin + 104;
+      ctx.strokeStyle = hudColor;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(barX, rowY - 10, barWidth, 10);
+      ctx.fillRect(barX, rowY - 10, barWidth * report.progress, 10);
+      ctx.fillText(
+          `${Math.round(report.progress * 100)}%`, barX + barWidth + 6, rowY);
+    }
+    if (show.visibleParts) {
+      ctx.fillText(
+          `parts ${report.visibleParts}/${report.requiredParts}`,
+          margin + 228, rowY);
+    }
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Temporal smoothing of keypoint positions, to stop the skeleton shimmering
+ * and gestures flickering on and off near their thresholds.
+ *
+ * Two filters are available per keypoint coordinate:
+ *   'one euro' the One Euro filter (Casiez et al. 2012), which smooths
+ *              heavily while a keypoint is still and lightly while it moves
+ *              fast, so jitter goes away without making gestures lag
+ *   'ema'      a plain exponential moving average
+ */
+
+/**
+ * Smoothing factor of a low pass filter with the given cutoff frequency (Hz)
+ * at the given sampling interval (s).
+ */
+function smoothingFactor(cutoff, interval) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / interval);
+}
+
+export class OneEuroFilter {
+  constructor() {
+    this.value = null;
+    this.derivative = 0;
+    this.time = null;
+  }
+
+  /**
+   * Filters a sample taken at `time` (ms).
+   *
+   * @param minCutoff cutoff frequency (Hz) while still; lower is smoother
+   * @param beta how quickly the cutoff rises with speed; higher lags less
+   * @param dCutoff cutoff frequency (Hz) used to smooth the speed
+   */
+  filter(value, time, minCutoff, beta, dCutoff) {
+    if (this.value === null || time <= this.time) {
+      this.value = value;
+      this.time = time;
+      return value;
+    }
+
+    const interval = (time - this.time) / 1000;
+    const derivative = (value - this.value) / interval;
+    const dAlpha = smoothingFactor(dCutoff, interval);
+    this.derivative = dAlpha * derivative + (1 - dAlpha) * this.derivative;
+
+    const cutoff = minCutoff + beta * Math.abs(this.derivative);
+    const alpha = smoothingFactor(cutoff, interval);
+    this.value = alpha * value + (1 - alpha) * this.value;
+    this.time = time;
+    return this.value;
+  }
+}
+
+export class EmaFilter {
+  constructor() {
+    this.value = null;
+  }
+
+  /**
+   * @param alpha weight of the new sample, from 0 (frozen) to 1 (raw)
+   */
+  filter(value, alpha) {
+    this.value = this.value === null ? value :
+                                       alpha * value + (1 - alpha) * this.value;
+    return this.value;
+  }
+}
+
+/**
+ * Smooths the keypoints of tracked poses, keeping one filter per keypoint
+ * coordinate per person id.
+ *
+ * Switching the method starts everyone's filters afresh; the other
+ * parameters apply to the running filters from the next frame. config:
+ *   method: 'one euro' | 'ema'
+ *   minCutoff, beta, dCutoff: One Euro filter parameters
+ *   alpha: EMA weight of the newest sample
+ */
+export class PoseSmoother {
+  /**
+   * @param config smoothing parameters, see above
+   * @param forgetAfter ms after which the filters of a person who hasn't
+   *     been seen are dropped
+   */
+  constructor(config, forgetAfter = 1000) {
+    this.config = config;
+    this.forgetAfter = forgetAfter;
+    this.people = new Map();
+  }
+
+  reset() {
+    this.people.clear();
+  }
+
+  /**
+   * Returns copies of the poses with smoothed keypoints. The unsmoothed
+   * keypoints are kept on each copy as rawKeypoints. Poses without an id
+   * are passed through unchanged.
+   */
+  smooth(poses, now) {
+    const method = this.config.method;
+    const smoothed = poses.map((pose) => {
+      if (pose.id === undefined) {
+        return pose;
+      }
+
+      let person = this.people.get(pose.id);
+      if (!person || person.method !== method) {
+        person = {method, filters: pose.keypoints.map(() => this.newFilters())};
+        this.people.set(pose.id, person);
+      }
+      person.lastSeen = now;
+
+      const keypoints = pose.keypoints.map((keypoint, i) => ({
+        part: keypoint.part,
+        score: keypoint.score,
+        position: {
+          x: this.filter(person.filters[i].x, keypoint.position.x, now),
+          y: this.filter(person.filters[i].y, keypoint.position.y, now),
+        },
+      }));
+      return Object.assign({}, pose, {keypoints, rawKeypoints: pose.keypoints});
+    });
+
+    this.people.forEach((person, id) => {
+      if (now - person.lastSeen > this.forgetAfter) {
+        this.people.delete(id);
+      }
+    });
+    return smoothed;
+  }
+
+  newFilters() {
+    if (this.config.method === 'ema') {
+      return {x: new EmaFilter(), y: new EmaFilter()};
+    }
+    return {x: new OneEuroFilter(), y: new OneEuroFilter()};
+  }
+
+  filter(filter, value, now) {
+    const config = this.config;
+    if (filter instanceof EmaFilter) {
+      return filter.filter(value, config.alpha);
+    }
+    return filter.filter(
+        value, now, config.minCutoff, config.beta, config.dCutoff);
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * The "Pose Says" high scores, kept in localStorage.
+ *
+ * Each entry is {name, score, date} with date as an ISO string. The list is
+ * sorted best first and capped at maxEntries.
+ */
+
+const storageKey = 'posemusic_leaderboard';
+const maxEntries = 10;
+
+export function loadLeaderboard() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(storageKey) || '[]');
+    return Array.isArray(entries) ? entries : [];
+  } catch (e) {
+    console.error('Ignoring invalid saved leaderboard:', e.message);
+    return [];
+  }
+}
+
+/**
+ * Adds a score and saves the leaderboard. Returns the updated leaderboard
+ * and the rank the score got (0 for the top), or -1 if it didn't make it.
+ */
+export function addScore(name, score, date = new Date()) {
+  const entry = {name, score, date: date.toISOString()};
+  // equal scores keep their order, so an older score stays ahead
+  const entries = loadLeaderboard()
+                      .concat([entry])
+                      .sort((a, b) => b.score - a.score)
+                      .slice(0, maxEntries);
+  localStorage.setItem(storageKey, JSON.stringify(entries));
+  return {entries, rank: entries.indexOf(entry)};
+}
+
+export function clearLeaderboard() {
+  localStorage.removeItem(storageKey);
+}
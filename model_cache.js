@@ -0,0 +1,147 @@
+/**
+ * Where the PoseNet weights are loaded from, and which of them are available
+ * offline.
+ *
+ * By default posenet loads its weights from Google's CDN. Setting
+ * POSENET_MODEL_URL at build time (e.g. to `./models/`) loads them from there
+ * instead; it must hold the same layout as the CDN, which
+ * `yarn fetch-models` downloads into the build output. Either way the service
+ * worker in service_worker.js caches the weights it sees, together with the
+ * app shell, so the app starts without a network after the first visit.
+ */
+
+// must match the cache the service worker keeps the weights in
+const modelCacheName = 'posemusic-models-v1';
+
+const multiplierNames = {1.0: '100', 0.75: '075', 0.50: '050'};
+
+// matches the weights URLs modelUrlFor (and the CDN) uses
+const modelUrlPattern = new RegExp(
+    '/(mobilenet|resnet50)/(float|quant(\\d))/(?:(\\d{3})/)?' +
+    'model-stride(\\d+)\\.json$');
+
+function precisionPath(quantBytes) {
+  return quantBytes === 4 ? 'float' : `quant${quantBytes}`;
+}
+
+/**
+ * The weights URL for a model config ({architecture, outputStride,
+ * multiplier, quantBytes}) under baseUrl, laid out like Google's CDN.
+ */
+export function modelUrlFor(baseUrl, config) {
+  const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  const graph = `model-stride${config.outputStride}.json`;
+  const precision = precisionPath(config.quantBytes);
+  if (config.architecture === 'ResNet50') {
+    return `${base}resnet50/${precision}/${graph}`;
+  }
+  const multiplier = multiplierNames[config.multiplier];
+  return `${base}mobilenet/${precision}/${multiplier}/${graph}`;
+}
+
+/**
+ * The modelUrl to hand to posenet.load for the config, or undefined to load
+ * from posenet's default location.
+ */
+export function modelUrl(config) {
+  const baseUrl = process.env.POSENET_MODEL_URL;
+  return baseUrl ? modelUrlFor(baseUrl, config) : undefined;
+}
+
+/**
+ * Describes the model a weights URL is for, e.g. 'MobileNetV1 0.75 stride 16
+ * (2 bytes)', or returns null if it isn't a model URL.
+ */
+export function describeModelUrl(url) {
+  const match = modelUrlPattern.exec(url);
+  if (!match) {
+    return null;
+  }
+  const [, architecture, , quantBytes, multiplier, stride] = match;
+  const bytes = quantBytes ? +quantBytes : 4;
+  if (architecture === 'resnet50') {
+    return `ResNet50 stride ${stride} (${bytes} bytes)`;
+  }
+  return `MobileNetV1 ${(+multiplier / 100).toFixed(2)} stride ${stride} ` +
+      `(${bytes} bytes)`;
+}
+
+/**
+ * Hands the service worker every URL the page has loaded so far, so it caches
+ * the bundles and weights loaded before it controlled the page. Call it again
+ * after loading more weights.
+ */
+export async function cacheLoadedResources() {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+  const registration = await navigator.serviceWorker.ready;
+  const urls = [location.href.split(/[?#]/)[0]].concat(
+      performance.getEntriesByType('resource').map((entry) => entry.name));
+  registration.active.postMessage({type: 'cache', urls});
+}
+
+/**
+ * Registers the service worker that caches the app and the weights, and has
+ * it cache what the page has already loaded. Does nothing in browsers without
+ * service workers.
+ */
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    return Promise.resolve(null);
+  }
+  return navigator.serviceWorker.register('./service_worker.js')
+      .then((registration) => {
+        cacheLoadedResources();
+        return registration;
+      })
+      .catch((ex) => {
+        console.error('Could not register the service worker', ex);
+        return null;
+      });
+}
+
+/**
+ * Calls callback with the URL of each weights file the service worker
+ * caches.
+ */
+export function onModelCached(callback) {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'model-cached') {
+      callback(event.data.url);
+    }
+  });
+}
+
+/**
+ * Whether the weights files listed in a cached graph are all cached too.
+ */
+async function isComplete(cache, graphRequest) {
+  const graph = await (await cache.match(graphRequest)).json();
+  const paths = [].concat(
+      ...(graph.weightsManifest || []).map((group) => group.paths));
+  const cached = await Promise.all(paths.map(
+      (path) => cache.match(new URL(path, graphRequest.url).href)));
+  return cached.every((response) => response !== undefined);
+}
+
+/**
+ * Resolves to descriptions of the models whose weights are all cached for
+ * offline use.
+ */
+export async function listOfflineModels() {
+  if (!('caches' in window)) {
+    return [];
+  }
+  const cache = await caches.open(modelCacheName);
+  const graphs = (await cache.keys())
+      .filter((request) => describeModelUrl(request.url) !== null);
+  const complete =
+      await Promise.all(graphs.map((request) => isComplete(cache, request)));
+  return graphs.filter((request, i) => complete[i])
+      .map((request) => describeModelUrl(request.url))
+      .sort();
+}
@@ -0,0 +1,145 @@
+/**
+ * Keeps the loaded PoseNet model in line with the model settings in the GUI.
+ *
+ * Changes are batched: settings changed within a short time of each other,
+ * like the architecture and the resolution it resets, cause a single load.
+ * The new model is loaded while the old one keeps estimating poses and only
+ * replaces it once it has loaded. If the load fails the old model stays, and
+ * the settings are rolled back to the ones it was loaded with.
+ *
+ * A frame that estimates poses holds on to the model from acquire() until
+ * release(), so a model replaced in the meantime is only disposed once that
+ * frame is done with it.
+ */
+import * as posenet from '@tensorflow-models/posenet';
+
+const configKeys =
+    ['architecture', 'outputStride', 'inputResolution', 'multiplier',
+     'quantBytes'];
+
+/**
+ * Picks the model settings out of config, with the numbers the GUI may hold
+ * as strings turned into numbers.
+ */
+function modelConfig(config) {
+  const result = {};
+  configKeys.forEach((key) => {
+    result[key] = key === 'architecture' ? config[key] : +config[key];
+  });
+  return result;
+}
+
+function sameConfig(a, b) {
+  return configKeys.every((key) => a[key] === b[key]);
+}
+
+export class ModelReconciler {
+  /**
+   * @param net the model that is already loaded
+   * @param config the settings net was loaded with
+   * @param options.load loads a model for a config, defaults to posenet.load
+   * @param options.onLoading called with true when a load starts and false
+   *     when it has finished, whether it worked or not
+   * @param options.onLoad called with the config once its model has replaced
+   *     the old one
+   * @param options.onError called with the error and the config that failed,
+   *     after rolling back
+   * @param options.batchTime ms to wait for further changes before loading
+   */
+  constructor(net, config, {
+    load = posenet.load,
+    onLoading = () => {},
+    onLoad = () => {},
+    onError = () => {},
+    batchTime = 300,
+  } = {}) {
+    this.net = net;
+    this.config = modelConfig(config);
+    this.desired = this.config;
+    this.load = load;
+    this.onLoading = onLoading;
+    this.onLoad = onLoad;
+    this.onError = onError;
+    this.batchTime = batchTime;
+    this.loading = false;
+    this.timer = null;
+    // how many frames hold a model, and the replaced models they may hold
+    this.users = 0;
+    this.retired = [];
+  }
+
+  /**
+   * Returns the current model for a frame to use until it calls release().
+   */
+  acquire() {
+    this.users++;
+    return this.net;
+  }
+
+  /**
+   * Lets go of the model from acquire(), disposing of replaced models once no
+   * frame holds one any more.
+   */
+  release() {
+    this.users--;
+    if (this.users === 0) {
+      this.disposeRetired();
+    }
+  }
+
+  disposeRetired() {
+    // Important to purge variables and free up GPU memory
+    this.retired.forEach((net) => net.dispose());
+    this.retired = [];
+  }
+
+  /**
+   * Asks for the model to be loaded with the given settings. Only the latest
+   * request counts, and it is acted on after batchTime.
+   */
+  request(config) {
+    this.desired = modelConfig(config);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.reconcile(), this.batchTime);
+  }
+
+  /**
+   * Loads the requested model unless it is loaded already. Resolves once the
+   * model is in place or the load has failed.
+   */
+  async reconcile() {
+    if (this.loading || sameConfig(this.desired, this.config)) {
+      return;
+    }
+
+    const target = this.desired;
+    this.loading = true;
+    this.onLoading(true);
+    let failure = null;
+    try {
+      const net = await this.load(target);
+      this.retired.push(this.net);
+      this.net = net;
+      this.config = target;
+      if (this.users === 0) {
+        this.disposeRetired();
+      }
+    } catch (ex) {
+      failure = ex;
+      // a newer request made during the load still gets its turn
+      if (this.desired === target) {
+        this.desired = this.config;
+      }
+    } finally {
+      this.loading = false;
+      this.onLoading(false);
+    }
+
+    if (failure) {
+      this.onError(failure, target);
+    } else {
+      this.onLoad(target);
+    }
+    return this.reconcile();
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Checks how ModelReconciler batches model changes, swaps models and rolls
+ * back failed loads, with fake models: `npm test` from the repository root.
+ */
+import assert from 'assert';
+import {describe, it} from 'node:test';
+
+import {ModelReconciler} from './model_reconciler.js';
+
+const mobileNet = {
+  architecture: 'MobileNetV1',
+  outputStride: 16,
+  inputResolution: 257,
+  multiplier: 0.75,
+  quantBytes: 2,
+};
+const resNet = Object.assign({}, mobileNet, {
+  architecture: 'ResNet50',
+  outputStride: 32,
+  multiplier: 1,
+});
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function fakeNet(config) {
+  return {
+    config,
+    disposed: false,
+    dispose() {
+      this.disposed = true;
+    },
+  };
+}
+
+/**
+ * A load function whose loads finish when the test says so: each call is
+ * kept in calls as {config, succeed(), fail(error)}.
+ */
+function controlledLoad() {
+  const calls = [];
+  const load = (config) => new Promise((resolve, reject) => {
+    calls.push({
+      config,
+      succeed: () => resolve(fakeNet(config)),
+      fail: reject,
+    });
+  });
+  return {load, calls};
+}
+
+function reconciler(load, events = []) {
+  return new ModelReconciler(fakeNet(mobileNet), mobileNet, {
+    load,
+    onLoad: (config) => events.push(['load', config.architecture]),
+    onError: (ex, config) => events.push(['error', config.architecture]),
+    batchTime: 10,
+  });
+}
+
+describe('ModelReconciler', () => {
+  it('loads once for changes made within the batch time', async () => {
+    const {load, calls} = controlledLoad();
+    const models = reconciler(load);
+    models.request(Object.assign({}, mobileNet, {multiplier: 0.5}));
+    models.request(Object.assign({}, mobileNet, {inputResolution: 300}));
+    models.request(resNet);
+    await wait(30);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].config.architecture, 'ResNet50');
+  });
+
+  it('takes the numbers the GUI holds as strings', async () => {
+    const {load, calls} = controlledLoad();
+    const models = reconciler(load);
+    models.request(Object.assign({}, mobileNet, {outputStride: '16'}));
+    await wait(30);
+    assert.strictEqual(calls.length, 0);
+  });
+
+  it('keeps the old model until the new one has loaded', async () => {
+    const {load, calls} = controlledLoad();
+    const events = [];
+    const models = reconciler(load, events);
+    const old = models.net;
+    models.desired = resNet;
+    const done = models.reconcile();
+    assert.strictEqual(models.net, old);
+
+    calls[0].succeed();
+    await done;
+    assert.strictEqual(models.net.config, resNet);
+    assert.strictEqual(models.config, resNet);
+    assert.ok(old.disposed);
+    assert.deepStrictEqual(events, [['load', 'ResNet50']]);
+  });
+
+  it('keeps the old model and rolls back when a load fails', async () => {
+    const {load, calls} = controlledLoad();
+    const events = [];
+    const models = reconciler(load, events);
+    const old = models.net;
+    models.desired = resNet;
+    const done = models.reconcile();
+    calls[0].fail(new Error('no network'));
+    await done;
+
+    assert.strictEqual(models.net, old);
+    assert.ok(!old.disposed);
+    assert.strictEqual(models.config.architecture, 'MobileNetV1');
+    assert.strictEqual(models.desired, models.config);
+    assert.deepStrictEqual(events, [['error', 'ResNet50']]);
+    assert.strictEqual(calls.length, 1);
+  });
+
+  it('loads a newer request made during a load afterwards', async () => {
+    const {load, calls} = controlledLoad();
+    const events = [];
+    const models = reconciler(load, events);
+    const smaller = Object.assign({}, mobileNet, {multiplier: 0.5});
+    models.desired = resNet;
+    const done = models.reconcile();
+    models.desired = smaller;
+
+    calls[0].fail(new Error('no network'));
+    await wait(0);
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[1].config.multiplier, 0.5);
+    calls[1].succeed();
+    await done;
+
+    assert.strictEqual(models.net.config, smaller);
+    assert.deepStrictEqual(
+        events, [['error', 'ResNet50'], ['load', 'MobileNetV1']]);
+  });
+
+  it('disposes a replaced model only once the frame using it is done',
+     async () => {
+       const {load, calls} = controlledLoad();
+       const models = reconciler(load);
+       const inUse = models.acquire();
+       models.desired = resNet;
+       const done = models.reconcile();
+       calls[0].succeed();
+       await done;
+
+       assert.notStrictEqual(models.net, inUse);
+       assert.ok(!inUse.disposed);
+       models.release();
+       assert.ok(inUse.disposed);
+       assert.ok(!models.net.disposed);
+     });
+});
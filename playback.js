@@ -0,0 +1,162 @@
+/**
+ * Playback backends. Each backend implements the same interface so the pose
+ * detection code doesn't need to know where the music comes from:
+ *
+ *   play(name, song)     plays the song bound to a pose name, starting at
+ *                        song.position (ms)
+ *   pause()
+ *   resume()
+ *   setVolume(percent)   0 to 100
+ *   seek(position)       moves to position (ms) in the playing song
+ *   getState()           resolves to {isPlaying, position, duration, track}
+ *                        or null, where track is {name, artists, albumArtUrl}
+ */
+
+/**
+ * Plays songs on a Spotify Connect device through the Web API. Requires a
+ * Premium account and an active device. Failed calls reject with a
+ * SpotifyError.
+ */
+export class SpotifyPlayback {
+  /**
+   * @param spotifyApi an authorised SpotifyWebApi instance
+   * @param getDeviceId returns the id of the device to play on
+   * @param callSpotify a caller from createSpotifyCaller
+   */
+  constructor(spotifyApi, getDeviceId, callSpotify) {
+    this.spotifyApi = spotifyApi;
+    this.getDeviceId = getDeviceId;
+    this.call = callSpotify;
+  }
+
+  async play(name, song) {
+    const deviceId = this.getDeviceId();
+    await this.call(
+        'play',
+        () => this.spotifyApi.play({device_id: deviceId, uris: [song.uri]}));
+
+    if (song.position > 0) {
+      await this.call(
+          'seek',
+          () => this.spotifyApi.seek(song.position, {device_id: deviceId}));
+    }
+  }
+
+  async pause() {
+    await this.call(
+        'pause', () => this.spotifyApi.pause({device_id: this.getDeviceId()}));
+  }
+
+  async resume() {
+    await this.call(
+        'resume', () => this.spotifyApi.play({device_id: this.getDeviceId()}));
+  }
+
+  async setVolume(percent) {
+    await this.call(
+        'set volume',
+        () => this.spotifyApi.setVolume(
+            Math.round(percent), {device_id: this.getDeviceId()}));
+  }
+
+  async seek(position) {
+    await this.call(
+        'seek',
+        () => this.spotifyApi.seek(
+            Math.round(position), {device_id: this.getDeviceId()}));
+  }
+
+  async getState() {
+    const state = await this.call(
+        'get playback state',
+        () => this.spotifyApi.getMyCurrentPlaybackState());
+    if (!state || !state.item) {
+      return null;
+    }
+    const images = state.item.album ? state.item.album.images : [];
+    return {
+      isPlaying: state.is_playing,
+      position: state.progress_ms,
+      duration: state.item.duration_ms,
+      track: {
+        name: state.item.name,
+        artists: state.item.artists.map((artist) => artist.name).join(', '),
+        albumArtUrl: images.length > 0 ? images[images.length - 1].url : null,
+      },
+    };
+  }
+}
+
+/**
+ * Plays local audio files chosen by the user through an HTMLAudioElement, so
+ * no Spotify account is needed. Files are bound to pose names with setFile.
+ */
+export class LocalAudioPlayback {
+  constructor() {
+    this.audio = new Audio();
+    this.files = {};
+    this.currentName = null;
+  }
+
+  setFile(name, file) {
+    if (this.files[name]) {
+      URL.revokeObjectURL(this.files[name].url);
+    }
+    this.files[name] = {url: URL.createObjectURL(file), title: file.name};
+  }
+
+  hasFile(name) {
+    return name in this.files;
+  }
+
+  async play(name, song) {
+    const file = this.files[name];
+    if (!file) {
+      throw new Error(`No audio file chosen for '${name}'`);
+    }
+
+    if (this.audio.src !== file.url) {
+      this.audio.src = file.url;
+      await new Promise((resolve, reject) => {
+        this.audio.onloadedmetadata = resolve;
+        this.audio.onerror = () =>
+          reject(new Error(`Could not load audio file '${file.title}'`));
+      });
+    }
+    this.audio.currentTime = song.position / 1000;
+    this.currentName = name;
+    await this.audio.play();
+  }
+
+  async pause() {
+    this.audio.pause();
+  }
+
+  async resume() {
+    await this.audio.play();
+  }
+
+  async setVolume(percent) {
+    this.audio.volume = Math.min(1, Math.max(0, percent / 100));
+  }
+
+  async seek(position) {
+    this.audio.currentTime = position / 1000;
+  }
+
+  async getState() {
+    if (this.currentName === null) {
+      return null;
+    }
+    return {
+      isPlaying: !this.audio.paused,
+      position: this.audio.currentTime * 1000,
+      duration: isFinite(this.audio.duration) ? this.audio.duration * 1000 : 0,
+      track: {
+        name: this.files[this.currentName].title,
+        artists: '',
+        albumArtUrl: null,
+      },
+    };
+  }
+}
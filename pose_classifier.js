@@ -0,0 +1,77 @@
+/**
+ * Turns the keypoints of one posenet pose into a gesture label. This module
+ * has no browser or bundler dependencies, so it also runs in plain Node: it
+ * only looks at the keypoints and gesture definitions it is given.
+ */
+import {detectGesture} from './gesture_rules.js';
+import {normalizeKeypoints} from './pose_knn.js';
+
+const noGesture = {label: null, confidence: 0};
+
+function meanPartScore(keypoints, partNames) {
+  const scores = partNames.map(
+      (partName) => keypoints.find((kp) => kp.part === partName).score);
+  return scores.reduce((a, b) => a + b, 0) / scores.length;
+}
+
+function classifyWithRules(keypoints, gestures, minPartConfidence) {
+  const label = detectGesture(gestures, keypoints, minPartConfidence);
+  if (label === null) {
+    return noGesture;
+  }
+  const gesture = gestures.find((g) => g.name === label);
+  const requiredParts = gesture.requiredParts || [];
+  return {
+    label,
+    confidence: requiredParts.length > 0 ?
+        meanPartScore(keypoints, requiredParts) :
+        1,
+  };
+}
+
+function classifyWithCustomPoses(
+    keypoints, classifier, k, maxDistance, minPartConfidence) {
+  if (!classifier) {
+    return noGesture;
+  }
+  const vector = normalizeKeypoints(keypoints, minPartConfidence);
+  if (!vector) {
+    return noGesture;
+  }
+  return classifier.predict(vector, k, maxDistance) || noGesture;
+}
+
+/**
+ * Classifies the keypoints of a single pose.
+ *
+ * Rule-based gestures report the mean score of their required parts as
+ * confidence; custom poses report the share of the k nearest examples that
+ * voted for the label.
+ *
+ * @param keypoints posenet keypoints ({part, score, position: {x, y}})
+ * @param options.mode 'rules', 'custom' or 'rules + custom' (rules win)
+ * @param options.gestures gesture definitions, e.g. those in gestures.json
+ * @param options.minPartConfidence keypoints at or below this are ignored
+ * @param options.customClassifier a KnnPoseClassifier for custom poses
+ * @param options.k neighbours that vote on a custom pose
+ * @param options.maxDistance neighbours further away than this don't vote
+ * @return {label, confidence}, with a null label if nothing matched
+ */
+export function classifyPose(keypoints, {
+  mode = 'rules',
+  gestures = [],
+  minPartConfidence = 0.5,
+  customClassifier = null,
+  k = 5,
+  maxDistance = 0.6,
+} = {}) {
+  if (mode !== 'custom') {
+    const result =
+        classifyWithRules(keypoints, gestures, minPartConfidence);
+    if (result.label !== null || mode === 'rules') {
+      return result;
+    }
+  }
+  return classifyWithCustomPoses(
+      keypoints, customClassifier, k, maxDistance, minPartConfidence);
+}
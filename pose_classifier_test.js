@@ -0,0 +1,216 @@
+/**
+ * Runs the built-in and the transport gestures against fixture poses, without
+ * a browser or a camera: `npm test`.
+ *
+ * The fixtures are a person facing the camera in a 200 x 260 picture, seen
+ * unmirrored (their left shoulder is on the right of the picture). Each one
+ * only moves the arms of a person standing with their arms down.
+ */
+import assert from 'assert';
+import fs from 'fs';
+import {describe, it} from 'node:test';
+
+import {detectGesture} from './gesture_rules.js';
+import {classifyPose} from './pose_classifier.js';
+
+function readJson(name) {
+  return JSON.parse(fs.readFileSync(new URL(name, import.meta.url)));
+}
+
+const gestures = readJson('./gestures.json');
+const transportGestures = readJson('./transport_gestures.json');
+
+const standing = {
+  nose: [100, 40],
+  leftEye: [105, 35],
+  rightEye: [95, 35],
+  leftEar: [112, 38],
+  rightEar: [88, 38],
+  leftShoulder: [130, 80],
+  rightShoulder: [70, 80],
+  leftElbow: [135, 125],
+  rightElbow: [65, 125],
+  leftWrist: [138, 170],
+  rightWrist: [62, 170],
+  leftHip: [120, 170],
+  rightHip: [80, 170],
+  leftKnee: [120, 215],
+  rightKnee: [80, 215],
+  leftAnkle: [120, 255],
+  rightAnkle: [80, 255],
+};
+
+/**
+ * Posenet keypoints for the standing pose with some parts moved, all scored
+ * 0.9 unless scores says otherwise.
+ */
+function pose(moved, scores = {}) {
+  const positions = Object.assign({}, standing, moved);
+  return Object.keys(positions).map((part) => ({
+    part,
+    score: part in scores ? scores[part] : 0.9,
+    position: {x: positions[part][0], y: positions[part][1]},
+  }));
+}
+
+/**
+ * The same pose in a mirrored picture, as posenet reports it with
+ * flipHorizontal: x is flipped and the part names stay as they are.
+ */
+function mirror(keypoints) {
+  return keypoints.map(({part, score, position}) => ({
+    part,
+    score,
+    position: {x: 200 - position.x, y: position.y},
+  }));
+}
+
+function classify(keypoints) {
+  return classifyPose(keypoints, {gestures, minPartConfidence: 0.5}).label;
+}
+
+const fixtures = {
+  // both arms raised in a V
+  'YMCA': {
+    leftElbow: [150, 50],
+    leftWrist: [165, 15],
+    rightElbow: [50, 50],
+    rightWrist: [35, 15],
+  },
+  // one arm up, the other down across the body, both hands on one side
+  'Baby Shark': {
+    leftElbow: [145, 50],
+    leftWrist: [125, 15],
+    rightElbow: [75, 120],
+    rightWrist: [110, 150],
+  },
+  // one arm pointing up and out, the other down and out
+  'Disco': {
+    leftElbow: [150, 50],
+    leftWrist: [170, 15],
+    rightElbow: [60, 120],
+    rightWrist: [50, 160],
+  },
+  // both forearms raised to one side of the head
+  'Thriller': {
+    leftElbow: [150, 110],
+    leftWrist: [165, 85],
+    rightElbow: [110, 110],
+    rightWrist: [125, 85],
+  },
+};
+
+describe('classifyPose with the built-in gestures', () => {
+  it('has a fixture for every built-in gesture', () => {
+    assert.deepStrictEqual(
+        gestures.map((g) => g.name).sort(), Object.keys(fixtures).sort());
+  });
+
+  Object.keys(fixtures).forEach((name) => {
+    it(`recognises ${name}`, () => {
+      assert.strictEqual(classify(pose(fixtures[name])), name);
+    });
+
+    it(`recognises ${name} in a mirrored picture`, () => {
+      assert.strictEqual(classify(mirror(pose(fixtures[name]))), name);
+    });
+  });
+
+  it('reports the mean score of the required parts as confidence', () => {
+    const result = classifyPose(
+        pose(fixtures['YMCA'], {leftWrist: 0.6, rightWrist: 0.6}),
+        {gestures, minPartConfidence: 0.5});
+    assert.strictEqual(result.label, 'YMCA');
+    assert.ok(Math.abs(result.confidence - 0.8) < 1e-9);
+  });
+});
+
+describe('classifyPose negative cases', () => {
+  const noGesture = {
+    'standing with the arms down': pose({}),
+    // forearms up, one on each side of the head
+    'hands up in surrender': pose({
+      leftElbow: [150, 110],
+      leftWrist: [150, 75],
+      rightElbow: [50, 110],
+      rightWrist: [50, 75],
+    }),
+    // one arm held out level at shoulder height, the other at the side
+    'one arm held out sideways': pose({
+      leftElbow: [165, 80],
+      leftWrist: [195, 80],
+    }),
+    'YMCA with a wrist below the confidence threshold':
+        pose(fixtures['YMCA'], {leftWrist: 0.3}),
+    'YMCA without a confident head': pose(fixtures['YMCA'], {
+      nose: 0.1,
+      leftEye: 0.1,
+      rightEye: 0.1,
+      leftEar: 0.1,
+      rightEar: 0.1,
+    }),
+    'no keypoints above the threshold': pose(fixtures['Disco'], {
+      nose: 0, leftEye: 0, rightEye: 0, leftEar: 0, rightEar: 0,
+      leftShoulder: 0, rightShoulder: 0, leftElbow: 0, rightElbow: 0,
+      leftWrist: 0, rightWrist: 0, leftHip: 0, rightHip: 0,
+      leftKnee: 0, rightKnee: 0, leftAnkle: 0, rightAnkle: 0,
+    }),
+  };
+
+  Object.keys(noGesture).forEach((name) => {
+    it(`finds no gesture when ${name}`, () => {
+      assert.strictEqual(classify(noGesture[name]), null);
+    });
+  });
+
+  it('finds nothing in custom mode without taught poses', () => {
+    const result = classifyPose(
+        pose(fixtures['YMCA']), {mode: 'custom', gestures});
+    assert.deepStrictEqual(result, {label: null, confidence: 0});
+  });
+});
+
+describe('detectGesture with the transport gestures', () => {
+  function detectTransport(keypoints) {
+    return detectGesture(transportGestures, keypoints, 0.5);
+  }
+
+  // wrists on the hips with the elbows out to the sides
+  const handsOnHips = pose({
+    leftElbow: [160, 125],
+    leftWrist: [122, 165],
+    rightElbow: [40, 125],
+    rightWrist: [78, 165],
+  });
+
+  it('recognises Hands on Hips', () => {
+    assert.strictEqual(detectTransport(handsOnHips), 'Hands on Hips');
+    assert.strictEqual(detectTransport(mirror(handsOnHips)), 'Hands on Hips');
+  });
+
+  it('finds no gesture when standing with the arms down', () => {
+    assert.strictEqual(detectTransport(pose({})), null);
+  });
+
+  it('finds no gesture when the elbows are only just outside the wrists', () => {
+    // relaxed arms down, each elbow 3 px further out than its wrist
+    const relaxed = pose({
+      leftElbow: [137, 125],
+      leftWrist: [134, 170],
+      rightElbow: [63, 125],
+      rightWrist: [66, 170],
+    });
+    assert.strictEqual(detectTransport(relaxed), null);
+    assert.strictEqual(detectTransport(mirror(relaxed)), null);
+  });
+
+  it('finds no Hands on Hips with the hands held at the waist', () => {
+    const atWaist = pose({
+      leftElbow: [160, 110],
+      leftWrist: [122, 125],
+      rightElbow: [40, 110],
+      rightWrist: [78, 125],
+    });
+    assert.strictEqual(detectTransport(atWaist), null);
+  });
+});
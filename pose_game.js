@@ -0,0 +1,172 @@
+/**
+ * "Pose Says": a game built on the pose classifier. Each round shows a random
+ * target pose with a countdown, and players score by matching it quickly and
+ * holding it. Rounds get shorter as the game goes on.
+ *
+ * The game doesn't touch the DOM or the camera. The caller feeds it each
+ * player's classified pose label every frame and acts on the events update()
+ * returns:
+ *   {type: 'round', round, target}   a new round has started
+ *   {type: 'hit', player, target, points, first}   a player held the
+ *                                    target; first is true for the first
+ *                                    player to do so
+ *   {type: 'roundOver', round, target}   everyone hit or time ran out
+ *   {type: 'end', players}           the last round is over
+ */
+
+// points for matching the target the moment it is shown; they fall to 0
+// over the round time
+const speedPoints = 100;
+// points for holding the target for the full hold time
+const holdPoints = 50;
+
+/**
+ * A round's length is fixed when the round starts, so changes to the round
+ * settings during a game apply from the next round. config:
+ *   rounds: rounds per game
+ *   roundTime: ms the first round lasts
+ *   minRoundTime: ms the rounds shrink to
+ *   speedUp: factor the round time is multiplied by after each round
+ *   holdTime: ms the target has to be held to score
+ *   breakTime: ms between the end of a round and the next target
+ */
+export class PoseGame {
+  /**
+   * @param targets the pose labels a target is picked from
+   */
+  constructor(targets, config, random = Math.random) {
+    this.targets = targets;
+    this.config = config;
+    this.random = random;
+    this.players = [];
+    this.phase = 'stopped';
+  }
+
+  get isRunning() {
+    return this.phase !== 'stopped';
+  }
+
+  /**
+   * Starts a game and returns the event of its first round.
+   *
+   * @param playerNames one name per player
+   */
+  start(playerNames, now) {
+    if (this.targets.length === 0) {
+      throw new Error('There are no target poses to play with');
+    }
+    this.players = playerNames.map((name) => ({name, score: 0}));
+    this.round = -1;
+    this.target = null;
+    return this.nextRound(now);
+  }
+
+  stop() {
+    this.phase = 'stopped';
+  }
+
+  /**
+   * Duration of the given round (counted from 0) in ms.
+   */
+  roundTime(round) {
+    const config = this.config;
+    const time = config.roundTime * Math.pow(config.speedUp, round);
+    return Math.max(config.minRoundTime, time);
+  }
+
+  /**
+   * ms left to hit the current target; 0 between rounds.
+   */
+  timeLeft(now) {
+    return this.phase === 'posing' ? Math.max(0, this.roundEnd - now) : 0;
+  }
+
+  /**
+   * How far the player is through holding the target, from 0 to 1.
+   */
+  holdProgress(player, now) {
+    const state = this.players[player];
+    if (state.hit) {
+      return 1;
+    }
+    if (state.matchedSince === null || this.config.holdTime <= 0) {
+      return 0;
+    }
+    return Math.min(1, (now - state.matchedSince) / this.config.holdTime);
+  }
+
+  /**
+   * Advances the game by one frame.
+   *
+   * @param labels the pose label of each player on this frame, null for no
+   *     pose or a player who isn't in frame
+   * @return the events that happened on this frame
+   */
+  update(labels, now) {
+    if (this.phase === 'break') {
+      return now >= this.breakEnd ? [this.nextRound(now)] : [];
+    }
+    if (this.phase !== 'posing') {
+      return [];
+    }
+
+    const events = [];
+    this.players.forEach((state, player) => {
+      if (state.hit) {
+        return;
+      }
+      if (labels[player] !== this.target) {
+        state.matchedSince = null;
+        return;
+      }
+      if (state.matchedSince === null) {
+        state.matchedSince = now;
+      }
+      if (now - state.matchedSince >= this.config.holdTime) {
+        const points = this.score(state.matchedSince);
+        const first = this.players.every((other) => !other.hit);
+        state.hit = true;
+        state.score += points;
+        events.push({type: 'hit', player, target: this.target, points, first});
+      }
+    });
+
+    if (now >= this.roundEnd || this.players.every((state) => state.hit)) {
+      events.push({type: 'roundOver', round: this.round, target: this.target});
+      if (this.round + 1 >= this.config.rounds) {
+        this.phase = 'stopped';
+        events.push({type: 'end', players: this.players});
+      } else {
+        this.phase = 'break';
+        this.breakEnd = now + this.config.breakTime;
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Points for a hit that started matching at matchedSince.
+   */
+  score(matchedSince) {
+    const duration = this.roundEnd - this.roundStart;
+    const remaining = Math.max(0, this.roundEnd - matchedSince) / duration;
+    return Math.round(speedPoints * remaining) + holdPoints;
+  }
+
+  nextRound(now) {
+    this.round++;
+    // never the same target twice in a row, if there is a choice
+    const choices = this.targets.length > 1 ?
+        this.targets.filter((target) => target !== this.target) :
+        this.targets;
+    this.target = choices[Math.floor(this.random() * choices.length)];
+    this.roundStart = now;
+    this.roundEnd = now + this.roundTime(this.round);
+    this.players.forEach((state) => {
+      state.hit = false;
+      state.matchedSince = null;
+    });
+    this.phase = 'posing';
+    return {type: 'round', round: this.round, target: this.target};
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Ghost skeleton guides: a see-through target skeleton for a gesture, drawn
+ * over the person so they can see where their limbs need to go.
+ *
+ * Guides are defined in pose_guides.json, keyed by gesture name, as the
+ * positions of the parts that differ from a relaxed standing pose. Positions
+ * are [x, y] in shoulder widths from the middle of the shoulders, with x
+ * growing towards the person's left shoulder and y growing downwards, so a
+ * guide fits the person whatever their size, distance and which way round
+ * the camera shows them.
+ */
+import * as posenet from '@tensorflow-models/posenet';
+
+import {findKeypoint, ruleClauses} from './gesture_rules';
+import {drawKeypoints, drawSegment} from './demo_util';
+import guides from './pose_guides.json';
+
+export const passColor = 'lime';
+export const failColor = 'red';
+const guideColor = 'white';
+
+// a relaxed standing pose, in the same units as the guides
+const standingPose = {
+  nose: [0, -0.55],
+  leftEye: [0.12, -0.68],
+  rightEye: [-0.12, -0.68],
+  leftEar: [0.25, -0.62],
+  rightEar: [-0.25, -0.62],
+  leftShoulder: [0.5, 0],
+  rightShoulder: [-0.5, 0],
+  leftElbow: [0.6, 0.75],
+  rightElbow: [-0.6, 0.75],
+  leftWrist: [0.65, 1.45],
+  rightWrist: [-0.65, 1.45],
+  leftHip: [0.35, 1.5],
+  rightHip: [-0.35, 1.5],
+  leftKnee: [0.38, 2.3],
+  rightKnee: [-0.38, 2.3],
+  leftAnkle: [0.4, 3.1],
+  rightAnkle: [-0.4, 3.1],
+};
+
+/**
+ * Returns true if there is a guide for the named gesture.
+ */
+export function hasGuide(name) {
+  return name in guides;
+}
+
+/**
+ * Places the guide for the named gesture on the person, returning keypoints
+ * in posenet's format, or null if there is no guide or the person's
+ * shoulders can't be seen.
+ */
+export function placeGuide(name, keypoints, minPartConfidence) {
+  if (!hasGuide(name)) {
+    return null;
+  }
+  const left = findKeypoint(keypoints, 'leftShoulder');
+  const right = findKeypoint(keypoints, 'rightShoulder');
+  if (!left || !right || left.score <= minPartConfidence ||
+      right.score <= minPartConfidence) {
+    return null;
+  }
+
+  const width = Math.hypot(
+      left.position.x - right.position.x, left.position.y - right.position.y);
+  const direction = left.position.x >= right.position.x ? 1 : -1;
+  const centerX = (left.position.x + right.position.x) / 2;
+  const centerY = (left.position.y + right.position.y) / 2;
+
+  const pose = Object.assign({}, standingPose, guides[name]);
+  return posenet.partNames.map((part) => ({
+    part,
+    score: 1,
+    position: {
+      x: centerX + pose[part][0] * width * direction,
+      y: centerY + pose[part][1] * width,
+    },
+  }));
+}
+
+/**
+ * Works out which parts are where the gesture wants them. Each relation of
+ * the rule is about its `part`, so that part passes if all its relations
+ * pass. Returns a Map of part name to true (passes) or false (fails); parts
+ * the rule doesn't move aren't in it.
+ */
+export function partStatus(gesture, keypoints, minPartConfidence) {
+  const status = new Map();
+  ruleClauses(gesture.rule, keypoints, minPartConfidence)
+      .forEach(({clause, passed}) => {
+        const part = clause.part === 'head' ? 'nose' : clause.part;
+        const previous = status.has(part) ? status.get(part) : true;
+        status.set(part, previous && passed);
+      });
+  return status;
+}
+
+/**
+ * Draws the guide for a gesture over the person with the given keypoints.
+ * Limbs ending in a part that is already in place are drawn green, those
+ * ending in a part that isn't are red. Returns false if the guide couldn't
+ * be placed.
+ *
+ * @param opacity how see-through the guide is, from 0 to 1
+ */
+export function drawGuide(ctx, gesture, keypoints, minPartConfidence, opacity) {
+  const guide = placeGuide(gesture.name, keypoints, minPartConfidence);
+  if (guide === null) {
+    return false;
+  }
+  const status = partStatus(gesture, keypoints, minPartConfidence);
+
+  ctx.save();
+  ctx.globalAlpha = opacity;
+  posenet.getAdjacentKeyPoints(guide, 0).forEach(([a, b]) => {
+    const states = [status.get(a.part), status.get(b.part)];
+    let color = guideColor;
+    if (states.includes(false)) {
+      color = failColor;
+    } else if (states.includes(true)) {
+      color = passColor;
+    }
+    drawSegment(
+        [a.position.y, a.position.x], [b.position.y, b.position.x], color, 1,
+        ctx);
+  });
+  drawKeypoints(guide, 0, ctx, 1, guideColor);
+  ctx.restore();
+  return true;
+}
@@ -0,0 +1,144 @@
+/**
+ * Nearest-neighbour classifier for user-taught poses.
+ *
+ * Poses are captured from posenet keypoints, normalised so that the position
+ * and size of the person in the frame doesn't matter, and stored as labelled
+ * examples. Examples and the songs bound to each label are persisted in
+ * localStorage.
+ */
+
+const storageKey = 'posemusic_custom_poses';
+
+/**
+ * Converts posenet keypoints into a position and scale invariant feature
+ * vector: one [x, y] pair per keypoint, centred on the mean of the confident
+ * keypoints and divided by their RMS distance from that centre. Keypoints
+ * below minPartConfidence are stored as null. Returns null if too few
+ * keypoints are confident to describe a pose.
+ */
+export function normalizeKeypoints(keypoints, minPartConfidence) {
+  const confident = keypoints.filter((kp) => kp.score > minPartConfidence);
+  if (confident.length < 3) {
+    return null;
+  }
+
+  const cx = confident.reduce((sum, kp) => sum + kp.position.x, 0) /
+      confident.length;
+  const cy = confident.reduce((sum, kp) => sum + kp.position.y, 0) /
+      confident.length;
+  const spread = Math.sqrt(
+      confident.reduce(
+          (sum, kp) => sum + (kp.position.x - cx) ** 2 +
+              (kp.position.y - cy) ** 2,
+          0) /
+      confident.length);
+  if (spread === 0) {
+    return null;
+  }
+
+  return keypoints.map((kp) => {
+    if (kp.score <= minPartConfidence) {
+      return null;
+    }
+    return [(kp.position.x - cx) / spread, (kp.position.y - cy) / spread];
+  });
+}
+
+/**
+ * Mean euclidean distance between the keypoints present in both vectors.
+ * Vectors that share fewer than half their keypoints are considered
+ * infinitely far apart.
+ */
+export function poseDistance(a, b) {
+  let total = 0;
+  let shared = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] && b[i]) {
+      total += Math.hypot(a[i][0] - b[i][0], a[i][1] - b[i][1]);
+      shared++;
+    }
+  }
+  if (shared < a.length / 2) {
+    return Infinity;
+  }
+  return total / shared;
+}
+
+export class KnnPoseClassifier {
+  constructor(examples = []) {
+    this.examples = examples;
+  }
+
+  addExample(label, vector) {
+    this.examples.push({label, vector});
+  }
+
+  removeLabel(label) {
+    this.examples = this.examples.filter((example) => example.label !== label);
+  }
+
+  labels() {
+    return [...new Set(this.examples.map((example) => example.label))];
+  }
+
+  countExamples(label) {
+    return this.examples.filter((example) => example.label === label).length;
+  }
+
+  /**
+   * Votes among the k nearest examples within maxDistance. Returns
+   * {label, confidence} where confidence is the winning share of the k votes,
+   * or null when no example is close enough.
+   */
+  predict(vector, k, maxDistance) {
+    const neighbours =
+        this.examples
+            .map((example) => ({
+                   label: example.label,
+                   distance: poseDistance(vector, example.vector),
+                 }))
+            .filter((neighbour) => neighbour.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, k);
+    if (neighbours.length === 0) {
+      return null;
+    }
+
+    const votes = {};
+    neighbours.forEach(({label}) => {
+      votes[label] = (votes[label] || 0) + 1;
+    });
+    const label = Object.keys(votes).reduce(
+        (best, candidate) => votes[candidate] > votes[best] ? candidate : best);
+    return {label, confidence: votes[label] / k};
+  }
+}
+
+function loadStoredPoses() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey) || '{}');
+    return typeof stored === 'object' && stored !== null ? stored : {};
+  } catch (e) {
+    console.error('Ignoring invalid saved custom poses:', e.message);
+    return {};
+  }
+}
+
+/**
+ * Loads the taught examples and their song bindings from localStorage.
+ * Invalid saved data is ignored, as if nothing had been taught.
+ */
+export function loadCustomPoses() {
+  const stored = loadStoredPoses();
+  return {
+    classifier: new KnnPoseClassifier(
+        Array.isArray(stored.examples) ? stored.examples : []),
+    songs: typeof stored.songs === 'object' && stored.songs !== null ?
+        stored.songs : {},
+  };
+}
+
+export function saveCustomPoses(classifier, songs) {
+  localStorage.setItem(
+      storageKey, JSON.stringify({examples: classifier.examples, songs}));
+}
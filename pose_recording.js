@@ -0,0 +1,176 @@
+/**
+ * Recording and replaying of the poses posenet estimates, so the detection
+ * pipeline can be exercised without a person in front of a camera.
+ *
+ * A recording is JSON of the form:
+ *
+ *   {
+ *     "format": "posemusic-poses",
+ *     "version": 1,
+ *     "width": 889, "height": 500,
+ *     "frames": [{"time": 0, "poses": [{"score": 0.9, "keypoints": [...]}]}]
+ *   }
+ *
+ * where time is ms since the start of the recording and keypoints are
+ * posenet keypoints ({part, score, position: {x, y}}).
+ */
+
+const format = 'posemusic-poses';
+const version = 1;
+
+/**
+ * Rounds value to the given number of decimals.
+ */
+export function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function compactPose({score, keypoints}) {
+  return {
+    score: round(score, 4),
+    keypoints: keypoints.map(({part, score, position}) => ({
+                               part,
+                               score: round(score, 4),
+                               position: {
+                                 x: round(position.x, 1),
+                                 y: round(position.y, 1),
+                               },
+                             })),
+  };
+}
+
+export class PoseRecorder {
+  /**
+   * @param width width of the frames poses are estimated on
+   * @param height height of the frames poses are estimated on
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.frames = [];
+    this.startedAt = null;
+  }
+
+  get isRecording() {
+    return this.startedAt !== null;
+  }
+
+  start(now) {
+    this.frames = [];
+    this.startedAt = now;
+  }
+
+  stop() {
+    this.startedAt = null;
+  }
+
+  addFrame(poses, now) {
+    if (!this.isRecording) {
+      return;
+    }
+    this.frames.push({
+      time: round(now - this.startedAt, 1),
+      poses: poses.map(compactPose),
+    });
+  }
+
+  toJSON() {
+    return {
+      format,
+      version,
+      width: this.width,
+      height: this.height,
+      frames: this.frames,
+    };
+  }
+}
+
+/**
+ * Parses a recording made by PoseRecorder, throwing if it isn't one.
+ */
+export function parseRecording(json) {
+  const recording = JSON.parse(json);
+  if (!recording || recording.format !== format ||
+      recording.version !== version || !Array.isArray(recording.frames)) {
+    throw new Error('Not a pose recording');
+  }
+  if (recording.frames.length === 0) {
+    throw new Error('The pose recording is empty');
+  }
+  return recording;
+}
+
+/**
+ * Scales poses estimated on a from-sized frame onto a to-sized one ({width,
+ * height} each), keeping their proportions and centring them, the way the
+ * picture itself would be fitted.
+ */
+export function scalePoses(poses, from, to) {
+  const scale = Math.min(to.width / from.width, to.height / from.height);
+  const offsetX = (to.width - from.width * scale) / 2;
+  const offsetY = (to.height - from.height * scale) / 2;
+  return poses.map((pose) => Object.assign({}, pose, {
+    keypoints: pose.keypoints.map((keypoint) => Object.assign({}, keypoint, {
+      position: {
+        x: keypoint.position.x * scale + offsetX,
+        y: keypoint.position.y * scale + offsetY,
+      },
+    })),
+  }));
+}
+
+/**
+ * Plays back a recording in real time: posesAt returns the poses of the
+ * recorded frame that was current at the given time, scaled from the size
+ * they were recorded at to the size frames are processed at now.
+ */
+export class PoseReplay {
+  constructor(recording, now, loop) {
+    this.recording = recording;
+    this.frames = recording.frames;
+    this.startedAt = now;
+    this.loop = loop;
+    this.duration = this.frames[this.frames.length - 1].time;
+    // when looping, show the last frame for one average frame interval
+    this.loopLength =
+        this.duration + this.duration / Math.max(1, this.frames.length - 1);
+    this.index = 0;
+  }
+
+  /**
+   * True once a non-looping replay has played its last frame.
+   */
+  isFinished(now) {
+    return !this.loop && now - this.startedAt > this.duration;
+  }
+
+  /**
+   * @param width width of the frames poses are processed on now
+   * @param height height of the frames poses are processed on now
+   */
+  posesAt(now, width, height) {
+    let elapsed = now - this.startedAt;
+    if (this.loop && this.loopLength > 0) {
+      elapsed %= this.loopLength;
+    }
+
+    // frames are in time order, so search on from the last frame returned
+    // unless time has wrapped around
+    if (this.frames[this.index].time > elapsed) {
+      this.index = 0;
+    }
+    while (this.index + 1 < this.frames.length &&
+           this.frames[this.index + 1].time <= elapsed) {
+      this.index++;
+    }
+    const poses = this.frames[this.index].poses;
+    const {width: recordedWidth, height: recordedHeight} = this.recording;
+    if (!(recordedWidth > 0 && recordedHeight > 0) ||
+        (recordedWidth === width && recordedHeight === height)) {
+      return poses;
+    }
+    return scalePoses(
+        poses, {width: recordedWidth, height: recordedHeight}, {width, height});
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * Checks that replayed poses land where they were recorded when frames are
+ * processed at another size: `npm test` from the repository root.
+ */
+import assert from 'assert';
+import {describe, it} from 'node:test';
+
+import {PoseReplay} from './pose_recording.js';
+
+function recording(width, height) {
+  return {
+    format: 'posemusic-poses',
+    version: 1,
+    width,
+    height,
+    frames: [
+      {time: 0, poses: [{score: 0.9, keypoints: [
+        {part: 'nose', score: 0.9, position: {x: 50, y: 20}},
+      ]}]},
+      {time: 100, poses: [{score: 0.8, keypoints: [
+        {part: 'nose', score: 0.8, position: {x: 150, y: 80}},
+      ]}]},
+    ],
+  };
+}
+
+function nosesAt(replay, now, width, height) {
+  return replay.posesAt(now, width, height)
+      .map((pose) => pose.keypoints[0].position);
+}
+
+describe('PoseReplay', () => {
+  it('replays the frame current at the given time', () => {
+    const replay = new PoseReplay(recording(200, 100), 1000, false);
+    assert.deepStrictEqual(nosesAt(replay, 1050, 200, 100), [{x: 50, y: 20}]);
+    assert.deepStrictEqual(nosesAt(replay, 1100, 200, 100), [{x: 150, y: 80}]);
+  });
+
+  it('scales the poses to a larger frame', () => {
+    const replay = new PoseReplay(recording(200, 100), 0, false);
+    assert.deepStrictEqual(nosesAt(replay, 0, 400, 200), [{x: 100, y: 40}]);
+  });
+
+  it('keeps the proportions and centres the poses in another shape', () => {
+    const replay = new PoseReplay(recording(200, 100), 0, false);
+    // scaled by 2 to 400 x 200, centred in 400 x 400
+    assert.deepStrictEqual(nosesAt(replay, 0, 400, 400), [{x: 100, y: 140}]);
+  });
+
+  it('leaves the recording itself unscaled', () => {
+    const recorded = recording(200, 100);
+    const replay = new PoseReplay(recorded, 0, false);
+    replay.posesAt(0, 400, 200);
+    assert.deepStrictEqual(
+        recorded.frames[0].poses[0].keypoints[0].position, {x: 50, y: 20});
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Gives each detected pose an id that stays the same from frame to frame
+ * while it is the same person.
+ *
+ * Poses are matched to the people seen on previous frames by how much their
+ * bounding boxes overlap and how far their keypoints have moved. A person
+ * who isn't detected for a few frames (e.g. someone walks in front of them)
+ * keeps their id if they reappear close to where they were last seen.
+ */
+import * as posenet from '@tensorflow-models/posenet';
+
+function intersectionOverUnion(a, b) {
+  const width = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+  const height = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+  if (width <= 0 || height <= 0) {
+    return 0;
+  }
+  const intersection = width * height;
+  const area = (box) => (box.maxX - box.minX) * (box.maxY - box.minY);
+  return intersection / (area(a) + area(b) - intersection);
+}
+
+/**
+ * Mean distance between keypoints confidently detected in both poses,
+ * relative to the size of the track's bounding box.
+ */
+function keypointDistance(track, keypoints, minPartConfidence) {
+  const diagonal = Math.hypot(
+      track.box.maxX - track.box.minX, track.box.maxY - track.box.minY);
+  let total = 0;
+  let shared = 0;
+  keypoints.forEach((keypoint, i) => {
+    const previous = track.keypoints[i];
+    if (keypoint.score > minPartConfidence &&
+        previous.score > minPartConfidence) {
+      total += Math.hypot(
+          keypoint.position.x - previous.position.x,
+          keypoint.position.y - previous.position.y);
+      shared++;
+    }
+  });
+  if (shared === 0 || diagonal === 0) {
+    return 1;
+  }
+  return Math.min(1, total / shared / diagonal);
+}
+
+export class PoseTracker {
+  /**
+   * @param maxMissedFrames frames a person can go undetected before their
+   *     id is dropped
+   * @param maxCost matches costing more than this (0 is a perfect match, 2
+   *     the worst) start a new track instead
+   */
+  constructor(maxMissedFrames = 15, maxCost = 1.4) {
+    this.maxMissedFrames = maxMissedFrames;
+    this.maxCost = maxCost;
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  reset() {
+    this.tracks = [];
+  }
+
+  /**
+   * Sets pose.id on every pose and returns the poses.
+   */
+  update(poses, minPartConfidence) {
+    const boxes = poses.map((pose) => posenet.getBoundingBox(pose.keypoints));
+
+    // greedily match the cheapest track/pose pairs first
+    const pairs = [];
+    this.tracks.forEach((track) => {
+      poses.forEach((pose, i) => {
+        const cost = (1 - intersectionOverUnion(track.box, boxes[i])) +
+            keypointDistance(track, pose.keypoints, minPartConfidence);
+        if (cost <= this.maxCost) {
+          pairs.push({track, poseIndex: i, cost});
+        }
+      });
+    });
+    pairs.sort((a, b) => a.cost - b.cost);
+
+    const matchedTracks = new Set();
+    const matchedPoses = new Set();
+    pairs.forEach(({track, poseIndex}) => {
+      if (matchedTracks.has(track) || matchedPoses.has(poseIndex)) {
+        return;
+      }
+      matchedTracks.add(track);
+      matchedPoses.add(poseIndex);
+      Object.assign(track, {
+        box: boxes[poseIndex],
+        keypoints: poses[poseIndex].keypoints,
+        missedFrames: 0,
+      });
+      poses[poseIndex].id = track.id;
+    });
+
+    this.tracks = this.tracks.filter((track) => matchedTracks.has(track) ||
+        ++track.missedFrames <= this.maxMissedFrames);
+
+    poses.forEach((pose, i) => {
+      if (!matchedPoses.has(i)) {
+        const track = {
+          id: this.nextId++,
+          box: boxes[i],
+          keypoints: pose.keypoints,
+          missedFrames: 0,
+        };
+        this.tracks.push(track);
+        pose.id = track.id;
+      }
+    });
+
+    return poses;
+  }
+}
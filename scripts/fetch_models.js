@@ -0,0 +1,100 @@
+/**
+ * Downloads PoseNet weights from Google's CDN into a directory with the same
+ * layout, so the app can load them from its own build output (see
+ * POSENET_MODEL_URL in the README).
+ *
+ * Usage: node scripts/fetch_models.js <out dir> [--all]
+ *
+ * Without --all only the variants the app starts with are fetched.
+ */
+import fs from 'fs';
+import https from 'https';
+import path from 'path';
+
+const cdnUrl = 'https://storage.googleapis.com/tfjs-models/savedmodel/posenet/';
+
+// paths under cdnUrl, laid out as in model_cache.js
+const defaultModels = [
+  'mobilenet/quant2/075/model-stride16.json',
+  'mobilenet/quant2/050/model-stride16.json',
+  'resnet50/quant2/model-stride32.json',
+];
+
+function allModels() {
+  const models = [];
+  ['float', 'quant2', 'quant1'].forEach((precision) => {
+    ['100', '075', '050'].forEach((multiplier) => {
+      [8, 16].forEach((stride) => {
+        models.push(
+            `mobilenet/${precision}/${multiplier}/model-stride${stride}.json`);
+      });
+    });
+    [16, 32].forEach((stride) => {
+      models.push(`resnet50/${precision}/model-stride${stride}.json`);
+    });
+  });
+  return models;
+}
+
+function download(url) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (response) => {
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`${url}: HTTP ${response.statusCode}`));
+        return;
+      }
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+    }).on('error', reject);
+  });
+}
+
+function mkdirs(dir) {
+  if (!fs.existsSync(dir)) {
+    mkdirs(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+}
+
+function save(outDir, modelPath, data) {
+  const file = path.join(outDir, modelPath);
+  mkdirs(path.dirname(file));
+  fs.writeFileSync(file, data);
+}
+
+async function fetchModel(outDir, modelPath) {
+  const graph = await download(cdnUrl + modelPath);
+  save(outDir, modelPath, graph);
+
+  // the weight shards are listed relative to the graph
+  const dir = path.posix.dirname(modelPath);
+  const {weightsManifest} = JSON.parse(graph.toString());
+  for (const group of weightsManifest) {
+    for (const shard of group.paths) {
+      const shardPath = `${dir}/${shard}`;
+      save(outDir, shardPath, await download(cdnUrl + shardPath));
+    }
+  }
+}
+
+async function main() {
+  const [outDir, flag] = process.argv.slice(2);
+  if (!outDir) {
+    console.error('Usage: node scripts/fetch_models.js <out dir> [--all]');
+    process.exit(1);
+  }
+  const models = flag === '--all' ? allModels() : defaultModels;
+  for (const modelPath of models) {
+    console.log(`Fetching ${modelPath}`);
+    try {
+      await fetchModel(outDir, modelPath);
+    } catch (ex) {
+      // not every combination exists on the CDN
+      console.error(`  skipped: ${ex.message}`);
+    }
+  }
+}
+
+main();
@@ -0,0 +1,139 @@
+/**
+ * Caches the app shell and the PoseNet weights so the app starts without a
+ * network after the first visit.
+ *
+ * The page and its bundles are served network first, so a new build is
+ * picked up as soon as there is a network, and from the cache otherwise.
+ * Weights never change for a URL, so they are served cache first. Spotify
+ * requests are never cached.
+ *
+ * The worker only sees the requests of a page it controls, which the first
+ * visit isn't until the worker has activated: by then the bundles and the
+ * first weights have been loaded. The page sends a {type: 'cache', urls}
+ * message with the URLs it has loaded, and the ones the worker would have
+ * cached are fetched and cached then.
+ *
+ * Each weights file cached is reported to the pages with a
+ * {type: 'model-cached', url} message.
+ */
+
+const shellCacheName = 'posemusic-shell-v1';
+// must match modelCacheName in model_cache.js
+const modelCacheName = 'posemusic-models-v1';
+
+const modelHost = 'https://storage.googleapis.com/tfjs-models/';
+
+function isModelRequest(url) {
+  if (url.origin === self.location.origin) {
+    return url.pathname.includes('/models/');
+  }
+  return url.href.startsWith(modelHost);
+}
+
+async function notifyModelCached(url) {
+  const clients = await self.clients.matchAll();
+  clients.forEach((client) => client.postMessage({type: 'model-cached', url}));
+}
+
+async function cacheModel(cache, request, response) {
+  await cache.put(request, response);
+  await notifyModelCached(typeof request === 'string' ? request : request.url);
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+  const response = await fetch(request);
+  if (response.ok) {
+    cacheModel(cache, request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (ex) {
+    const cached = await cache.match(request, {ignoreSearch: true});
+    if (cached) {
+      return cached;
+    }
+    throw ex;
+  }
+}
+
+/**
+ * Fetches and caches the URLs the worker would have cached had it seen them
+ * loaded, skipping those it already has.
+ */
+async function cacheLoaded(urls) {
+  const shellCache = await caches.open(shellCacheName);
+  const modelCache = await caches.open(modelCacheName);
+  await Promise.all(urls.map(async (href) => {
+    const url = new URL(href);
+    const isModel = isModelRequest(url);
+    if (!isModel && url.origin !== self.location.origin) {
+      return;
+    }
+    const cache = isModel ? modelCache : shellCache;
+    try {
+      if (await cache.match(href)) {
+        return;
+      }
+      const response = await fetch(href);
+      if (!response.ok) {
+        return;
+      }
+      if (isModel) {
+        await cacheModel(cache, href, response);
+      } else {
+        await cache.put(href, response);
+      }
+    } catch (ex) {
+      // cached the next time the page loads it
+    }
+  }));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(shellCacheName)
+                      .then((cache) => cache.addAll(['./', './index.html']))
+                      .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [shellCacheName, modelCacheName];
+  event.waitUntil(
+      caches.keys()
+          .then((names) => Promise.all(
+                    names.filter((name) => name.startsWith('posemusic-') &&
+                                     !current.includes(name))
+                        .map((name) => caches.delete(name))))
+          .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+  if (event.request.method !== 'GET') {
+    return;
+  }
+  const url = new URL(event.request.url);
+  if (isModelRequest(url)) {
+    event.respondWith(cacheFirst(event.request, modelCacheName));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(event.request, shellCacheName));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'cache') {
+    event.waitUntil(cacheLoaded(event.data.urls));
+  }
+});
@@ -0,0 +1,181 @@
+/**
+ * Timeline of what happened during a session, for working out afterwards why
+ * a song triggered when it shouldn't have, or how long Spotify took to react.
+ *
+ * Each event is {time, type, ...details}, where time is ms since the log
+ * started and type is one of:
+ *   'pose'      the controlling person's gesture changed:
+ *               {gesture, confidence, people}
+ *   'trigger'   a song gesture was held long enough: {gesture}
+ *   'state'     updateState ran: {from, to, result, message}
+ *   'transport' a transport action ran: {action, from, result, message}
+ *   'spotify'   a Spotify request finished, retries included:
+ *               {request, duration, result, message}
+ *   'model'     a model loaded or failed to: {action, duration, message} and
+ *               the model settings
+ *   'fps'       frames per second since the last sample: {fps, people}
+ *
+ * A log is exported as JSON of the form:
+ *
+ *   {
+ *     "format": "posemusic-session",
+ *     "version": 1,
+ *     "startedAt": "2020-01-01T12:00:00.000Z",
+ *     "events": [{"time": 1234.5, "type": "state", "from": "", ...}]
+ *   }
+ *
+ * or as CSV with a wall-clock timestamp and a column per detail.
+ */
+import {round} from './pose_recording';
+
+const format = 'posemusic-session';
+const version = 1;
+
+export const eventTypes =
+    ['pose', 'trigger', 'state', 'transport', 'spotify', 'model', 'fps'];
+
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class SessionLog {
+  /**
+   * @param now when the log starts, in performance.now() ms
+   * @param maxEvents the oldest events are dropped beyond this many
+   */
+  constructor(now, maxEvents = 10000) {
+    this.maxEvents = maxEvents;
+    // called with each event as it is added
+    this.onEvent = () => {};
+    this.clear(now);
+  }
+
+  /**
+   * Drops all events and starts the timeline again at now.
+   */
+  clear(now) {
+    this.events = [];
+    this.startedAt = now;
+    this.startDate = new Date();
+  }
+
+  /**
+   * Adds an event of the given type at now, with the details as its fields.
+   * Returns the event.
+   */
+  add(type, details, now) {
+    const event = Object.assign(
+        {time: round(now - this.startedAt, 1), type}, details);
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) {
+      this.events.shift();
+    }
+    this.onEvent(event);
+    return event;
+  }
+
+  /**
+   * The wall-clock time of an event, as an ISO string.
+   */
+  timestamp(event) {
+    return new Date(this.startDate.getTime() + event.time).toISOString();
+  }
+
+  toJSON() {
+    return {
+      format,
+      version,
+      startedAt: this.startDate.toISOString(),
+      events: this.events,
+    };
+  }
+
+  /**
+   * The events as CSV, one row per event. Details an event doesn't have are
+   * left empty.
+   */
+  toCSV() {
+    const columns = ['time', 'type'];
+    this.events.forEach((event) => {
+      Object.keys(event).forEach((key) => {
+        if (!columns.includes(key)) {
+          columns.push(key);
+        }
+      });
+    });
+
+    const rows = this.events.map((event) => [this.timestamp(event)]
+        .concat(columns.map((key) => event[key]))
+        .map(csvField)
+        .join(','));
+    return [['timestamp'].concat(columns).join(',')].concat(rows).join('\n') +
+        '\n';
+  }
+}
+
+/**
+ * Counts frames and reports the frame rate once per interval.
+ */
+export class FpsSampler {
+  /**
+   * @param interval ms between two samples
+   */
+  constructor(interval = 1000) {
+    this.interval = interval;
+    this.since = null;
+    this.frames = 0;
+  }
+
+  /**
+   * Counts a frame drawn at now. Returns the frames per second since the last
+   * sample once the interval has passed, and null otherwise.
+   */
+  update(now) {
+    if (this.since === null) {
+      this.since = now;
+      return null;
+    }
+    this.frames++;
+    if (now - this.since < this.interval) {
+      return null;
+    }
+    const fps = this.frames * 1000 / (now - this.since);
+    this.since = now;
+    this.frames = 0;
+    return round(fps, 1);
+  }
+}
+
+/**
+ * Wraps a caller from createSpotifyCaller so each request is logged as a
+ * 'spotify' event with how long it took, retries included, and how it ended.
+ */
+export function logSpotifyCalls(call, log) {
+  return async function loggedCall(description, request) {
+    const startedAt = performance.now();
+    const logResult = (result, message) => {
+      const now = performance.now();
+      log.add('spotify', {
+        request: description,
+        duration: round(now - startedAt, 0),
+        result,
+        message,
+      }, now);
+    };
+
+    try {
+      const response = await call(description, request);
+      logResult('ok');
+      return response;
+    } catch (ex) {
+      logResult(
+          ex.status === undefined ? 'error' : `error ${ex.status}`,
+          ex.userMessage || ex.message);
+      throw ex;
+    }
+  };
+}
@@ -0,0 +1,96 @@
+/**
+ * Panel showing the session log as a scrolling timeline, filtered by event
+ * type, with JSON and CSV export.
+ */
+import {downloadFile} from './demo_util';
+import {eventTypes} from './session_log';
+
+// only the latest events are shown; exports always have all of them
+const maxRows = 500;
+
+function formatEvent(event) {
+  const details = Object.keys(event)
+      .filter((key) => key !== 'time' && key !== 'type' &&
+                  event[key] !== undefined)
+      .map((key) => `${key}: ${event[key]}`)
+      .join(', ');
+  return `${(event.time / 1000).toFixed(1)}s ${event.type} ${details}`;
+}
+
+function exportName(log, extension) {
+  const date = log.startDate.toISOString().replace(/[:.]/g, '-');
+  return `session-${date}.${extension}`;
+}
+
+/**
+ * Wires up the #session-log panel in index.html to a SessionLog.
+ */
+export function setupSessionLogPanel(log) {
+  const panel = document.getElementById('session-log');
+  const filter = document.getElementById('session-log-filter');
+  const list = document.getElementById('session-log-events');
+
+  ['all'].concat(eventTypes).forEach((type) => {
+    const option = document.createElement('option');
+    option.value = option.textContent = type;
+    filter.appendChild(option);
+  });
+
+  function isShown(event) {
+    return filter.value === 'all' || event.type === filter.value;
+  }
+
+  function addRow(event) {
+    const row = document.createElement('li');
+    row.textContent = formatEvent(event);
+    row.title = log.timestamp(event);
+    row.className = `session-log-${event.type}`;
+    list.appendChild(row);
+    if (list.childElementCount > maxRows) {
+      list.removeChild(list.firstChild);
+    }
+  }
+
+  function showEvents() {
+    list.innerHTML = '';
+    log.events.filter(isShown).slice(-maxRows).forEach(addRow);
+    list.scrollTop = list.scrollHeight;
+  }
+
+  log.onEvent = (event) => {
+    if (panel.style.display === 'none' || !isShown(event)) {
+      return;
+    }
+    // follow new events unless the user has scrolled back
+    const atEnd =
+        list.scrollTop + list.clientHeight >= list.scrollHeight - 2;
+    addRow(event);
+    if (atEnd) {
+      list.scrollTop = list.scrollHeight;
+    }
+  };
+
+  document.getElementById('session-log-btn').addEventListener('click', () => {
+    const hidden = panel.style.display === 'none';
+    panel.style.display = hidden ? 'block' : 'none';
+    if (hidden) {
+      showEvents();
+    }
+  });
+
+  filter.addEventListener('change', showEvents);
+
+  document.getElementById('session-log-json').addEventListener('click', () => {
+    downloadFile(
+        exportName(log, 'json'), JSON.stringify(log), 'application/json');
+  });
+
+  document.getElementById('session-log-csv').addEventListener('click', () => {
+    downloadFile(exportName(log, 'csv'), log.toCSV(), 'text/csv');
+  });
+
+  document.getElementById('session-log-clear').addEventListener('click', () => {
+    log.clear(performance.now());
+    showEvents();
+  });
+}
@@ -0,0 +1,186 @@
+/**
+ * Panel for reassigning the song each pose plays. Tracks are found through
+ * Spotify search, the start position is set by scrubbing or typing m:ss, and
+ * the result can be previewed before saving. Mappings can be exported and
+ * imported as JSON.
+ */
+import {exportSongMapping, formatPosition, parsePosition, parseSongMapping,
+  saveSongMapping} from './song_mapping';
+import {downloadFile} from './demo_util';
+
+// slider range used when the track duration is unknown
+const defaultDuration = 10 * 60 * 1000;
+
+/**
+ * Wires up the #song-editor panel in index.html.
+ *
+ * @param songs the live pose-to-song mapping, edited in place
+ * @param options.playback the playback backend used for previews
+ * @param options.searchTracks resolves a query to a list of Spotify tracks;
+ *     search is hidden if null
+ * @param options.onPreview called after a preview starts playing
+ */
+export function setupSongEditor(songs, {playback, searchTracks, onPreview}) {
+  const panel = document.getElementById('song-editor');
+  const poseSelect = document.getElementById('song-editor-pose');
+  const trackText = document.getElementById('song-editor-track');
+  const query = document.getElementById('song-editor-query');
+  const results = document.getElementById('song-editor-results');
+  const scrub = document.getElementById('song-editor-scrub');
+  const positionText = document.getElementById('song-editor-position');
+  const message = document.getElementById('song-editor-message');
+
+  let draft = null;
+
+  function showMessage(text) {
+    message.textContent = text;
+  }
+
+  function fillPoseSelect() {
+    const selected = poseSelect.value;
+    poseSelect.innerHTML = '';
+    Object.keys(songs).forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.text = name;
+      poseSelect.appendChild(option);
+    });
+    if (selected in songs) {
+      poseSelect.value = selected;
+    }
+    loadDraft();
+  }
+
+  function loadDraft() {
+    draft = Object.assign({}, songs[poseSelect.value]);
+    showDraft();
+  }
+
+  function showDraft() {
+    trackText.textContent = draft.name ?
+        `${draft.name} - ${draft.artists}` :
+        draft.uri;
+    scrub.max = draft.duration || defaultDuration;
+    scrub.value = draft.position;
+    positionText.value = formatPosition(draft.position);
+    positionText.setCustomValidity('');
+  }
+
+  async function search() {
+    if (!query.value.trim()) {
+      return;
+    }
+    results.innerHTML = '';
+    let tracks;
+    try {
+      tracks = await searchTracks(query.value);
+    } catch (ex) {
+      showMessage(ex.userMessage || 'Search failed');
+      return;
+    }
+    tracks.forEach((track) => {
+      const item = document.createElement('li');
+      const artists = track.artists.map((artist) => artist.name).join(', ');
+      item.textContent = `${track.name} - ${artists} ` +
+          `(${formatPosition(track.duration_ms)})`;
+      item.addEventListener('click', () => {
+        draft = {
+          uri: track.uri,
+          position: Math.min(draft.position, track.duration_ms),
+          name: track.name,
+          artists: artists,
+          duration: track.duration_ms,
+        };
+        showDraft();
+      });
+      results.appendChild(item);
+    });
+  }
+
+  function importMapping(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        Object.assign(songs, parseSongMapping(reader.result));
+      } catch (e) {
+        showMessage(`Could not import ${file.name}: ${e.message}`);
+        return;
+      }
+      saveSongMapping(songs);
+      fillPoseSelect();
+      showMessage(`Imported ${file.name}`);
+    };
+    reader.readAsText(file);
+  }
+
+  document.getElementById('song-editor-btn').addEventListener('click', () => {
+    const hidden = panel.style.display === 'none';
+    panel.style.display = hidden ? 'block' : 'none';
+    if (hidden) {
+      fillPoseSelect();
+    }
+  });
+
+  poseSelect.addEventListener('change', loadDraft);
+
+  if (searchTracks) {
+    document.getElementById('song-editor-search-btn')
+        .addEventListener('click', search);
+    query.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        search();
+      }
+    });
+  } else {
+    document.getElementById('song-editor-search').style.display = 'none';
+  }
+
+  scrub.addEventListener('input', () => {
+    draft.position = +scrub.value;
+    positionText.value = formatPosition(draft.position);
+    positionText.setCustomValidity('');
+  });
+
+  positionText.addEventListener('change', () => {
+    const position = parsePosition(positionText.value);
+    if (isNaN(position)) {
+      positionText.setCustomValidity('Use m:ss');
+      positionText.reportValidity();
+      return;
+    }
+    positionText.setCustomValidity('');
+    draft.position = position;
+    scrub.value = position;
+  });
+
+  document.getElementById('song-editor-preview')
+      .addEventListener('click', async () => {
+        try {
+          await playback.play(poseSelect.value, draft);
+          onPreview();
+        } catch (ex) {
+          showMessage(ex.userMessage || ex.message);
+        }
+      });
+
+  document.getElementById('song-editor-save').addEventListener('click', () => {
+    songs[poseSelect.value] = Object.assign({}, draft);
+    saveSongMapping(songs);
+    showMessage(`Saved ${poseSelect.value}`);
+  });
+
+  document.getElementById('song-editor-export')
+      .addEventListener('click', () => {
+        downloadFile(
+            'posemusic-songs.json', exportSongMapping(songs),
+            'application/json');
+      });
+
+  const importInput = document.getElementById('song-editor-import');
+  importInput.addEventListener('change', () => {
+    if (importInput.files.length > 0) {
+      importMapping(importInput.files[0]);
+      importInput.value = '';
+    }
+  });
+}
@@ -0,0 +1,100 @@
+/**
+ * The pose-to-song mapping: which track each pose plays and where in the
+ * track it starts. The built-in defaults can be overridden from the song
+ * editor; overrides are stored in localStorage and can be exported and
+ * imported as JSON.
+ *
+ * Each song is {uri, position} with position in ms. Songs picked through the
+ * editor also carry the track name, artists and duration (ms) for display.
+ */
+
+const storageKey = 'posemusic_song_mapping';
+
+export const defaultSongs = {
+  'YMCA': {
+    uri: 'spotify:track:7Cp69rNBwU0gaFT8zxExlE',
+    position: 58 * 1000,
+  },
+  'Baby Shark': {
+    uri: 'spotify:track:5ygDXis42ncn6kYG14lEVG',
+    position: 4 * 1000,
+  },
+  'Disco': {
+    uri: 'spotify:track:7qK3JFriCqLorQivsJYG2X',
+    position: 0,
+  },
+  'Thriller': {
+    uri: 'spotify:track:7azo4rpSUh8nXgtonC6Pkq',
+    position: 90.5 * 1000,
+  },
+};
+
+/**
+ * Returns the default mapping with any saved overrides applied.
+ */
+export function loadSongMapping() {
+  const songs = JSON.parse(JSON.stringify(defaultSongs));
+  const stored = localStorage.getItem(storageKey);
+  if (stored) {
+    try {
+      Object.assign(songs, parseSongMapping(stored));
+    } catch (e) {
+      console.error('Ignoring invalid saved song mapping:', e.message);
+    }
+  }
+  return songs;
+}
+
+export function saveSongMapping(songs) {
+  localStorage.setItem(storageKey, exportSongMapping(songs));
+}
+
+export function exportSongMapping(songs) {
+  return JSON.stringify(songs, null, 2);
+}
+
+/**
+ * Parses and validates a mapping exported with exportSongMapping. Throws if
+ * the JSON is not a mapping of pose names to {uri, position}.
+ */
+export function parseSongMapping(json) {
+  const songs = JSON.parse(json);
+  if (typeof songs !== 'object' || songs === null || Array.isArray(songs)) {
+    throw new Error('Song mapping must be an object of pose names to songs');
+  }
+  Object.keys(songs).forEach((name) => {
+    const song = songs[name];
+    if (!song || typeof song.uri !== 'string' ||
+        typeof song.position !== 'number' || song.position < 0) {
+      throw new Error(`Invalid song for '${name}'`);
+    }
+  });
+  return songs;
+}
+
+/**
+ * Formats a position in ms as m:ss.
+ */
+export function formatPosition(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+}
+
+/**
+ * Parses m:ss, mm:ss or plain seconds (fractions allowed) into ms. Returns
+ * NaN if the text is not a position.
+ */
+export function parsePosition(text) {
+  const match = /^\s*(?:(\d+):)?(\d+(?:\.\d+)?)\s*$/.exec(text);
+  if (!match) {
+    return NaN;
+  }
+  const minutes = match[1] ? parseInt(match[1], 10) : 0;
+  const seconds = parseFloat(match[2]);
+  if (match[1] && seconds >= 60) {
+    return NaN;
+  }
+  return Math.round((minutes * 60 + seconds) * 1000);
+}
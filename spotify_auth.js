@@ -0,0 +1,217 @@
+/**
+ * Spotify login using the Authorization Code flow with PKCE.
+ *
+ * Tokens (including the refresh token) are kept in localStorage with their
+ * expiry time, and renewed shortly before they expire so playback isn't
+ * interrupted by a login redirect. The client ID and redirect URI can be set
+ * at build time through the SPOTIFY_CLIENT_ID and SPOTIFY_REDIRECT_URI
+ * environment variables (e.g. in a .env file picked up by parcel).
+ */
+
+const authorizeUrl = 'https://accounts.spotify.com/authorize';
+const tokenUrl = 'https://accounts.spotify.com/api/token';
+// streaming, user-read-email and user-read-private are needed by the Web
+// Playback SDK to use the browser as a device
+const scopes = [
+  'user-modify-playback-state',
+  'user-read-playback-state',
+  'streaming',
+  'user-read-email',
+  'user-read-private',
+];
+
+const clientId =
+    process.env.SPOTIFY_CLIENT_ID || 'a1dfceece4a24c249303bcdd0a3f865e';
+
+const tokenStorageKey = 'posemusic_spotify_token';
+const pendingAuthKey = 'posemusic_pending_auth';
+
+// renew this long before the access token expires
+const renewalMargin = 60 * 1000;
+
+let renewalTimer = null;
+// the refresh in flight, shared by everyone who asks for one meanwhile
+let pendingRefresh = null;
+
+function redirectUri() {
+  if (process.env.SPOTIFY_REDIRECT_URI) {
+    return process.env.SPOTIFY_REDIRECT_URI;
+  }
+  if (window.location.hostname === 'localhost') {
+    return window.location.origin;
+  }
+  return window.location.origin + '/posemusic-web';
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+}
+
+function randomString(byteLength) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+async function codeChallenge(verifier) {
+  const digest = await crypto.subtle.digest(
+      'SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(digest);
+}
+
+function loadToken() {
+  return JSON.parse(localStorage.getItem(tokenStorageKey) || 'null');
+}
+
+function storeToken(response) {
+  const previous = loadToken();
+  const token = {
+    accessToken: response.access_token,
+    // a refresh response only includes a refresh token if it was rotated
+    refreshToken: response.refresh_token ||
+        (previous ? previous.refreshToken : null),
+    expiresAt: Date.now() + response.expires_in * 1000,
+  };
+  localStorage.setItem(tokenStorageKey, JSON.stringify(token));
+  return token;
+}
+
+async function requestToken(params) {
+  const response = await fetch(tokenUrl, {
+    method: 'POST',
+    headers: {'Content-Type': 'application/x-www-form-urlencoded'},
+    body: new URLSearchParams(Object.assign({client_id: clientId}, params)),
+  });
+  if (!response.ok) {
+    throw new Error(`Spotify token request failed (${response.status})`);
+  }
+  return storeToken(await response.json());
+}
+
+/**
+ * Redirects to the Spotify login page. tabState is any JSON-serialisable
+ * value; it is handed back by completeAuthorization after the redirect.
+ */
+export async function authorize(tabState) {
+  const verifier = randomString(64);
+  const state = randomString(16);
+  sessionStorage.setItem(
+      pendingAuthKey, JSON.stringify({verifier, state, tabState}));
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri(),
+    scope: scopes.join(' '),
+    state: state,
+    code_challenge_method: 'S256',
+    code_challenge: await codeChallenge(verifier),
+  });
+  window.location.href = `${authorizeUrl}?${params}`;
+}
+
+/**
+ * Exchanges the authorization code if the page was loaded as the login
+ * redirect. Resolves to the tabState passed to authorize, or undefined if
+ * this isn't a login redirect.
+ */
+export async function completeAuthorization() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('code') && !params.has('error')) {
+    return undefined;
+  }
+
+  const pending = JSON.parse(sessionStorage.getItem(pendingAuthKey) || 'null');
+  sessionStorage.removeItem(pendingAuthKey);
+  // drop the code from the address bar so a reload doesn't reuse it
+  window.history.replaceState(null, '', redirectUri());
+
+  if (params.has('error')) {
+    throw new Error(`Spotify login failed: ${params.get('error')}`);
+  }
+  if (!pending || pending.state !== params.get('state')) {
+    throw new Error('Spotify login state does not match, ignoring it');
+  }
+
+  await requestToken({
+    grant_type: 'authorization_code',
+    code: params.get('code'),
+    redirect_uri: redirectUri(),
+    code_verifier: pending.verifier,
+  });
+  return pending.tabState;
+}
+
+async function requestRefresh() {
+  const token = loadToken();
+  if (!token || !token.refreshToken) {
+    throw new Error('No Spotify refresh token');
+  }
+  const refreshed = await requestToken({
+    grant_type: 'refresh_token',
+    refresh_token: token.refreshToken,
+  });
+  return refreshed.accessToken;
+}
+
+/**
+ * Exchanges the refresh token for a new access token. Resolves to the new
+ * access token; rejects if there is no refresh token or it was revoked.
+ *
+ * Callers that ask while a refresh is running share it: Spotify may rotate
+ * the refresh token, so a second request with the old one would fail.
+ */
+export function refreshAccessToken() {
+  if (!pendingRefresh) {
+    pendingRefresh = requestRefresh();
+    const done = () => {
+      pendingRefresh = null;
+    };
+    pendingRefresh.then(done, done);
+  }
+  return pendingRefresh;
+}
+
+/**
+ * Resolves to a usable access token, refreshing it if it has expired, or
+ * null if the user has to log in.
+ */
+export async function getAccessToken() {
+  const token = loadToken();
+  if (!token) {
+    return null;
+  }
+  if (token.expiresAt - renewalMargin > Date.now()) {
+    return token.accessToken;
+  }
+  try {
+    return await refreshAccessToken();
+  } catch (e) {
+    console.error(e);
+    return null;
+  }
+}
+
+/**
+ * Renews the access token shortly before it expires, calling onToken with
+ * every new token, and keeps doing so for as long as the page is open.
+ * onError is called if a renewal fails.
+ */
+export function keepTokenFresh(onToken, onError) {
+  clearTimeout(renewalTimer);
+  const token = loadToken();
+  if (!token || !token.refreshToken) {
+    return;
+  }
+
+  const delay = Math.max(0, token.expiresAt - renewalMargin - Date.now());
+  renewalTimer = setTimeout(async () => {
+    try {
+      onToken(await refreshAccessToken());
+      keepTokenFresh(onToken, onError);
+    } catch (e) {
+      onError(e);
+    }
+  }, delay);
+}
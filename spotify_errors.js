@@ -0,0 +1,99 @@
+/**
+ * Central error handling for Spotify Web API calls.
+ *
+ * Requests made through a caller from createSpotifyCaller are retried when
+ * Spotify is rate limiting (429, honouring Retry-After) or having transient
+ * trouble (5xx and network errors), retried once after a token refresh on
+ * 401, and otherwise rejected with a SpotifyError carrying a message that can
+ * be shown to the user.
+ */
+
+const maxRetries = 3;
+const baseBackoff = 500;
+
+export class SpotifyError extends Error {
+  constructor(status, userMessage, cause) {
+    super(userMessage);
+    this.name = 'SpotifyError';
+    this.status = status;
+    this.userMessage = userMessage;
+    this.cause = cause;
+  }
+}
+
+function userMessageFor(status, description) {
+  switch (status) {
+    case 401:
+      return 'Your Spotify login has expired. Please log in again.';
+    case 403:
+      return 'Spotify Premium is required to control playback.';
+    case 404:
+      return 'No active Spotify device. Open Spotify on a phone or ' +
+          'computer and select it from the device list.';
+    case 429:
+      return 'Spotify is rate limiting requests. Please wait a moment.';
+    default:
+      if (status === 0 || status >= 500) {
+        return `Spotify is not responding (${description}). ` +
+            'Check your connection and try again.';
+      }
+      return `Spotify request failed: ${description} (${status}).`;
+  }
+}
+
+function isTransient(status) {
+  return status === 0 || status === 429 || status >= 500;
+}
+
+/**
+ * Milliseconds to wait before retry number `attempt`. spotify-web-api-js
+ * rejects with the XMLHttpRequest, so the Retry-After header (in seconds) is
+ * read from it when Spotify sends one.
+ */
+function retryDelay(ex, attempt) {
+  const backoff = baseBackoff * 2 ** attempt;
+  const retryAfter = ex && typeof ex.getResponseHeader === 'function' ?
+      parseFloat(ex.getResponseHeader('Retry-After')) :
+      NaN;
+  return isNaN(retryAfter) ? backoff : Math.max(retryAfter * 1000, backoff);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Returns call(description, request), which runs request() (a function
+ * returning a spotify-web-api-js promise) with retries, and rejects with a
+ * SpotifyError if it can't succeed.
+ *
+ * @param onUnauthorized called on a 401; resolves to true if the access token
+ *     was refreshed and the request should be retried
+ */
+export function createSpotifyCaller(onUnauthorized) {
+  return async function call(description, request) {
+    let refreshed = false;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request();
+      } catch (ex) {
+        // anything but a failed XMLHttpRequest is a bug, not a Spotify error
+        if (!ex || typeof ex.status !== 'number') {
+          throw ex;
+        }
+        const status = ex.status;
+
+        if (status === 401 && !refreshed && await onUnauthorized()) {
+          refreshed = true;
+          continue;
+        }
+        if (isTransient(status) && attempt < maxRetries) {
+          await sleep(retryDelay(ex, attempt));
+          continue;
+        }
+        throw new SpotifyError(
+            status, userMessageFor(status, description), ex);
+      }
+    }
+  };
+}
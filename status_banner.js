@@ -0,0 +1,20 @@
+/**
+ * The status banner at the top of the page, used to tell the user about
+ * problems that stop the music, e.g. Spotify errors.
+ */
+
+/**
+ * Shows a message in the banner. level is 'error', 'warning' or 'info'.
+ */
+export function showStatus(message, level = 'error') {
+  const banner = document.getElementById('status');
+  banner.textContent = message;
+  banner.className = `status-${level}`;
+  banner.style.display = 'block';
+}
+
+export function clearStatus() {
+  const banner = document.getElementById('status');
+  banner.textContent = '';
+  banner.style.display = 'none';
+}
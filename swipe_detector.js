@@ -0,0 +1,69 @@
+/**
+ * Detects quick horizontal swipes of one wrist at chest height, used for the
+ * next / previous transport gestures.
+ *
+ * A swipe is the wrist moving at least `swipeDistance` shoulder widths
+ * sideways within `swipeTime` ms while it is below the shoulders. Nothing is
+ * detected while the shoulders are too close together to measure by, as
+ * when the person stands side-on. config:
+ *   swipeDistance: shoulder widths the wrist has to travel
+ *   swipeTime: ms the travel has to happen in
+ *   swipeCooldown: ms after a swipe before the next one is detected
+ */
+import {findKeypoint, shoulderWidth} from './gesture_rules.js';
+
+export class SwipeDetector {
+  /**
+   * @param wrist the part name of the wrist to follow, e.g. 'rightWrist'
+   */
+  constructor(wrist, config) {
+    this.wrist = wrist;
+    this.config = config;
+    this.history = [];
+    this.lastSwipeAt = -Infinity;
+  }
+
+  reset() {
+    this.history = [];
+  }
+
+  /**
+   * Feeds the keypoints of the controlling person (or null) and returns
+   * 'right' or 'left' (canvas directions) when a swipe completes, else null.
+   */
+  update(keypoints, minPartConfidence, now) {
+    const parts = keypoints &&
+        [this.wrist, 'leftShoulder', 'rightShoulder'].map(
+            (partName) => findKeypoint(keypoints, partName));
+    if (!parts || parts.some((kp) => !kp || kp.score <= minPartConfidence)) {
+      this.reset();
+      return null;
+    }
+
+    const [wrist, leftShoulder, rightShoulder] =
+        parts.map((kp) => kp.position);
+    const width = shoulderWidth(leftShoulder, rightShoulder);
+    if (width === null ||
+        wrist.y < Math.max(leftShoulder.y, rightShoulder.y)) {
+      this.reset();
+      return null;
+    }
+
+    this.history.push({x: wrist.x / width, time: now});
+    while (now - this.history[0].time > this.config.swipeTime) {
+      this.history.shift();
+    }
+
+    if (now - this.lastSwipeAt < this.config.swipeCooldown) {
+      return null;
+    }
+    const travel = wrist.x / width - this.history[0].x;
+    if (Math.abs(travel) < this.config.swipeDistance) {
+      return null;
+    }
+
+    this.lastSwipeAt = now;
+    this.reset();
+    return travel > 0 ? 'right' : 'left';
+  }
+}
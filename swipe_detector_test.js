@@ -0,0 +1,50 @@
+/**
+ * Checks which wrist movements SwipeDetector takes for swipes: `npm test`
+ * from the repository root.
+ */
+import assert from 'assert';
+import {describe, it} from 'node:test';
+
+import {SwipeDetector} from './swipe_detector.js';
+
+const config = {swipeDistance: 1.5, swipeTime: 500, swipeCooldown: 1000};
+
+function keypoints(leftShoulderX, rightShoulderX, wristX) {
+  return [
+    {part: 'leftShoulder', score: 0.9, position: {x: leftShoulderX, y: 100}},
+    {part: 'rightShoulder', score: 0.9, position: {x: rightShoulderX, y: 100}},
+    {part: 'rightWrist', score: 0.9, position: {x: wristX, y: 150}},
+  ];
+}
+
+/**
+ * Feeds one frame every 33 ms with the wrist at each of wristXs, and returns
+ * what was detected on each.
+ */
+function feed(leftShoulderX, rightShoulderX, wristXs) {
+  const detector = new SwipeDetector('rightWrist', config);
+  return wristXs.map((wristX, i) => detector.update(
+      keypoints(leftShoulderX, rightShoulderX, wristX), 0.5, i * 33));
+}
+
+describe('SwipeDetector', () => {
+  // facing the camera, the shoulders are 60 px apart
+  it('detects the wrist travelling the swipe distance', () => {
+    assert.deepStrictEqual(
+        feed(130, 70, [60, 90, 120, 160]), [null, null, null, 'right']);
+    assert.deepStrictEqual(
+        feed(130, 70, [160, 130, 100, 60]), [null, null, null, 'left']);
+  });
+
+  it('ignores a movement that is too short', () => {
+    assert.deepStrictEqual(
+        feed(130, 70, [60, 80, 100, 120]), [null, null, null, null]);
+  });
+
+  it('ignores wrist jitter when the shoulders are on top of each other', () => {
+    // side-on to the camera, the shoulders are 2 px apart
+    assert.deepStrictEqual(
+        feed(101, 99, [98, 101, 99, 102, 98, 101, 100, 103]),
+        [null, null, null, null, null, null, null, null]);
+  });
+});
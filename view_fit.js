@@ -0,0 +1,41 @@
+/**
+ * Fits the picture poses are detected in onto the output canvas, which has a
+ * different size and shape when it fills the window or the screen:
+ *   'contain' shows the whole picture, with bars where the shapes differ
+ *   'cover'   fills the whole canvas, cropping the picture where they differ
+ *
+ * Everything drawn in picture coordinates (the video, keypoints, skeletons,
+ * boxes) goes through the same transform, so it stays lined up.
+ */
+
+export const fitModes = ['contain', 'cover'];
+
+/**
+ * Returns the {scale, x, y} that maps picture coordinates onto the canvas,
+ * canvas = picture * scale + (x, y), with the picture centred.
+ */
+export function fitTransform(width, height, canvasWidth, canvasHeight, fit) {
+  const scaleX = canvasWidth / width;
+  const scaleY = canvasHeight / height;
+  const scale =
+      fit === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+  return {
+    scale,
+    x: (canvasWidth - width * scale) / 2,
+    y: (canvasHeight - height * scale) / 2,
+  };
+}
+
+/**
+ * Makes the context draw in picture coordinates.
+ */
+export function applyTransform(ctx, {scale, x, y}) {
+  ctx.setTransform(scale, 0, 0, scale, x, y);
+}
+
+/**
+ * Makes the context draw in canvas coordinates again.
+ */
+export function resetTransform(ctx) {
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+}